@@ -103,264 +103,50 @@ function createLabeledAxesHelper(size = 1, labelSize = 0.1) {
     return group;
 }
 
-// Ammo.js physics world and rigid bodies
-let AmmoLib = null;
-let physicsWorld;
-let rigidBodies = {};
-let constraints = {};
-
-// Ammo.js object pool to prevent WebAssembly memory corruption
-let ammoObjectPool = {
-    transforms: [],
-    vectors: [],
-    quaternions: [],
-    constructionInfos: [],
-
-    // Memory usage tracking
-    allocationCount: 0,
-    maxPoolSize: 50, // Prevent excessive memory usage
-
-    getTransform: function() {
-        if (this.transforms.length > 0) {
-            return this.transforms.pop();
-        }
-        this.allocationCount++;
-        return new AmmoLib.btTransform();
-    },
-
-    returnTransform: function(transform) {
-        if (transform && this.transforms.length < this.maxPoolSize) {
-            this.transforms.push(transform);
-        }
-    },
-
-    getVector: function(x = 0, y = 0, z = 0) {
-        let vec;
-        if (this.vectors.length > 0) {
-            vec = this.vectors.pop();
-            vec.setValue(x, y, z);
-        } else {
-            this.allocationCount++;
-            vec = new AmmoLib.btVector3(x, y, z);
-        }
-        return vec;
-    },
-
-    returnVector: function(vector) {
-        if (vector && this.vectors.length < this.maxPoolSize) {
-            this.vectors.push(vector);
-        }
-    },
-
-    getQuaternion: function(x = 0, y = 0, z = 0, w = 1) {
-        let quat;
-        if (this.quaternions.length > 0) {
-            quat = this.quaternions.pop();
-            quat.setValue(x, y, z, w);
-        } else {
-            this.allocationCount++;
-            quat = new AmmoLib.btQuaternion(x, y, z, w);
-        }
-        return quat;
-    },
-
-    returnQuaternion: function(quaternion) {
-        if (quaternion && this.quaternions.length < this.maxPoolSize) {
-            this.quaternions.push(quaternion);
-        }
-    },
-
-    getConstructionInfo: function(mass, motionState, shape, localInertia) {
-        // ConstructionInfo objects are more complex, create fresh each time
-        // but track the allocation
-        this.allocationCount++;
-        return new AmmoLib.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
-    },
-
-    clear: function() {
-        // Clear all pools to free memory
-        this.transforms = [];
-        this.vectors = [];
-        this.quaternions = [];
-        this.constructionInfos = [];
-        this.allocationCount = 0;
-    },
-
-    getStats: function() {
-        return {
-            transforms: this.transforms.length,
-            vectors: this.vectors.length,
-            quaternions: this.quaternions.length,
-            totalAllocations: this.allocationCount
-        };
-    }
-};
-
-// FAIL FAST SAFETY CHECKS
-function validatePhysicsAuthority() {
-    if (!rigidBodies.torso) {
-        throw new Error("❌ PHYSICS AUTHORITY VIOLATION: Torso rigid body not created!");
-    }
-
-    // Check if it's a valid Ammo.js rigid body by checking for expected methods
-    if (typeof rigidBodies.torso.getMotionState !== 'function') {
-        throw new Error("❌ PHYSICS AUTHORITY VIOLATION: Torso is not a valid Ammo.js rigid body!");
-    }
-
-    // Check collision flags - should not be kinematic (CF_KINEMATIC_OBJECT = 2)
-    const torsoFlags = rigidBodies.torso.getCollisionFlags();
-    if (torsoFlags & 2) { // CF_KINEMATIC_OBJECT
-        throw new Error("❌ PHYSICS AUTHORITY VIOLATION: Torso is kinematic - must be dynamic!");
-    }
-
-    // Check that limbs are also dynamic
-    ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'].forEach(name => {
-        if (rigidBodies[name]) {
-            const flags = rigidBodies[name].getCollisionFlags();
-            if (flags & 2) { // CF_KINEMATIC_OBJECT
-                throw new Error(`❌ PHYSICS AUTHORITY VIOLATION: ${name} is kinematic - must be dynamic!`);
-            }
-        }
-    });
-
-    // console.log("✅ PHYSICS AUTHORITY VALIDATED: Torso and limbs are dynamic");
-}
-
-function safeSetWorldTransform(body, transform) {
-    if (body === rigidBodies.torso) {
-        throw new Error("❌ PHYSICS AUTHORITY VIOLATION: Manual setWorldTransform on torso after constraints created!");
-    }
-    body.getMotionState().setWorldTransform(transform);
-}
-
-// console.log("PHYSICS AUTHORITY ACTIVE");
+// Physics runs in a worker (physics-worker.js) that owns Ammo and the toy simulation (toy-simulation.js).
+// The page sends inputs and applies the body transforms streamed back after every physics step;
+// where a worker can't start the same simulation runs on the page
+let physicsWorker = null;
+let physicsHost = null;        // In-page simulation host when there is no worker
+let physicsReady = false;      // Rest poses received - the toy's bodies exist
+let physicsStatus = null;      // Modes, limb conditions, torn-off limbs, held or dropped, recorder state and tunneling count
 
 // Toy hierarchy references - will be set after GLTF loads
 let toyGroupRef; // Root group of the toy
 let bodyMainRef;
 let jointEmptyRef; // Blender Empty marking the stick-to-torso joint
-let leftArmRef, rightArmRef, leftLegRef, rightLegRef;
-// Joint constraint objects from Blender
-let leftHandConstraint, rightHandConstraint, leftLegConstraint, rightLegConstraint;
+let limbRefs = {};      // Limb objects by limb name
+let limbJointRefs = {}; // Joint constraint objects from Blender, by limb name
 let torsoToEmptyOffset = new THREE.Vector3(); // Offset from torso mesh to Empty (for visual sync)
 
 // Debug gizmos for coordinate systems
 let globalAxesHelper, torsoAxesHelper;
 
-// STEP 1: Load Ammo.js using CDN and initialize physics
-function initializeAmmo() {
-    // console.log('🔍 Starting Ammo.js loading...');
-    // console.log('typeof Ammo:', typeof Ammo);
-    // console.log('window.Ammo:', !!window.Ammo);
-
-    if (typeof Ammo === 'undefined') {
-        console.error('❌ CRITICAL: Ammo global not found - script failed to load');
-        console.error('💡 Check that ammo_browser.js is loading correctly');
-        return; // This is now inside a function, so it's valid
-    }
-
-    Ammo().then((AmmoLibInstance) => {
-        // console.log('✅ Ammo.js loaded successfully');
-        // console.log('AmmoLib available:', !!AmmoLibInstance);
-        // Store AmmoLib globally so all functions can access it
-        AmmoLib = AmmoLibInstance;
-        // console.log('AmmoLib assigned, btVector3 available:', !!AmmoLib.btVector3);
-
-        // Hide loading overlay after Ammo initializes
-        hideLoading();
-
-        initPhysics();
-        initScene();
-        animate();
-    }).catch((error) => {
-        console.error('❌ Failed to load Ammo.js:', error);
-    });
-}
-
-// Start the initialization
-initializeAmmo();
-
-// Update solver settings based on current physics mode
-function updateSolverSettings() {
-    if (!physicsWorld) return;
-
-    const solverInfo = physicsWorld.getSolverInfo();
-
-    if (window.physicsMode === 'elastic') {
-        // Elastic mode: flexible but stable
-        solverInfo.m_numIterations = 15; // Good balance for elastic behavior
-        solverInfo.m_erp = 0.7; // Good error correction for flexibility
-        solverInfo.m_erp2 = 0.7; // Good constraint handling
-        solverInfo.m_globalCfm = 0.02; // Light constraint force mixing for elasticity
-    } else {
-        // Hinge mode: maximum stability for precise control
-        solverInfo.m_numIterations = 25; // High iterations for rock-solid stability
-        solverInfo.m_erp = 0.8; // Strong error correction
-        solverInfo.m_erp2 = 0.8; // Strong constraint handling
-        solverInfo.m_globalCfm = 0.0; // No constraint force mixing for precision
-    }
-
-    // console.log(`🔧 Updated solver for ${window.physicsMode} mode: iterations=${solverInfo.m_numIterations}, erp=${solverInfo.m_erp}`);
-}
-
-// Make function globally available
-window.updateSolverSettings = updateSolverSettings;
-
-// Initialize physics world (only creates world, bodies created after GLTF loads)
-function initPhysics() {
-    // ASSERT AMMO IS REAL
-    if (!AmmoLib) {
-        throw new Error("AmmoLib not initialized");
-    }
-
-    try {
-        // console.log('🔧 Initializing Ammo.js physics world...');
-
-        // Create collision configuration and dispatcher
-        const collisionConfig = new AmmoLib.btDefaultCollisionConfiguration();
-        const dispatcher = new AmmoLib.btCollisionDispatcher(collisionConfig);
-
-        // Create broadphase - try AxisSweep3 for better dynamic collision detection
-        const broadphase = new AmmoLib.btAxisSweep3(
-            new AmmoLib.btVector3(-100, -100, -100),
-            new AmmoLib.btVector3(100, 100, 100)
-        );
-
-        // Create constraint solver (iterations configured in stepSimulation)
-        const solver = new AmmoLib.btSequentialImpulseConstraintSolver();
-
-        // Create physics world
-        physicsWorld = new AmmoLib.btDiscreteDynamicsWorld(
-            dispatcher,
-            broadphase,
-            solver,
-            collisionConfig
-        );
-
-        // Set gravity (temporarily disabled for debugging hinge constraints)
-        physicsWorld.setGravity(new AmmoLib.btVector3(0, 0, 0)); // DISABLED GRAVITY
-
-        // Configure solver - will be updated based on physics mode
-        updateSolverSettings();
-
-        // DEBUG: Check rigid body count
-        // console.log('🔢 Physics world initialized with gravity:', physicsWorld.getGravity().y());
-
-        // console.log('✅ Physics world created with gravity:', physicsWorld.getGravity().y());
-        // console.log('✅ Solver iterations configured');
-        // console.log('⏳ Waiting for GLTF to load before creating rigid bodies...');
+// Part list for the model: node names, masses, shapes, joints and collision groups (toy-parts.json)
+const TOY_PARTS_VERSION = 1;
+let toyParts = null;
 
-    } catch (error) {
-        console.error('❌ Error initializing physics world:', error);
-        console.error('Stack:', error.stack);
-        throw error;
-    }
+function loadToyParts() {
+    return fetch('toy-parts.json')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        })
+        .then(parts => {
+            if (!parts || parts.version !== TOY_PARTS_VERSION || !parts.parts || !parts.parts.torso) {
+                throw new Error('Not a toy part list (or an unsupported version)');
+            }
+            toyParts = parts;
+            return parts;
+        });
 }
 
 // Load GLTF model and setup scene
 function initScene() {
     loader.load(
-        'ToyMaker_anim1.glb',
+        toyParts.model,
         (gltf) => {
             toyGroupRef = gltf.scene;
 
@@ -402,6 +188,10 @@ function initScene() {
                 }
             });
             // console.log(`🎭 All ${meshIndex} meshes are visible and important`);
+
+            // Untouched copy (limbs still in place) for more toys from the same model
+            toyTemplate = toyGroupRef.clone();
+
             scene.add(toyGroupRef);
 
             // Find toy parts in the hierarchy
@@ -409,12 +199,11 @@ function initScene() {
 
             // 🔧 PHYSICS CONTROL: Detach limbs to world space for independent physics sync
             if (bodyMainRef) {
-                // Detach arms to world space (required for physics sync)
-            if (leftArmRef) scene.attach(leftArmRef);
-            if (rightArmRef) scene.attach(rightArmRef);
-            if (leftLegRef) scene.attach(leftLegRef);
-            if (rightLegRef) scene.attach(rightLegRef);
-
+                // Detach limbs to world space (required for physics sync)
+                LIMB_NAMES.forEach(name => {
+                    const ref = getLimbRef(name);
+                    if (ref) scene.attach(ref);
+                });
             }
 
             // Add coordinate system gizmos for debugging
@@ -429,37 +218,35 @@ function initScene() {
             // }
 
 
-            // Create physics bodies (only after GLTF loads and bodyMainRef is found)
-            if (bodyMainRef && physicsWorld) {
-                createRigidBodies();
-                
-                // Create constraints (only if bodies were created successfully)
-                if (rigidBodies.anchor && rigidBodies.torso) {
-                    createConstraints();
-
-                    // Limbs are already dynamic from creation - no kinematic switching needed
-
-                    // Enable gravity for realistic physics
-                    physicsWorld.setGravity(new AmmoLib.btVector3(0, -9.8, 0));
-                    
-                    // CREATE PHYSICS ↔ MESH MAP (MANDATORY)
-                    physicsMeshMap = new Map();
-                    physicsMeshMap.set(bodyMainRef, rigidBodies.torso);
-                    if (leftArmRef && rigidBodies.leftArm) physicsMeshMap.set(leftArmRef, rigidBodies.leftArm);
-                    if (rightArmRef && rigidBodies.rightArm) physicsMeshMap.set(rightArmRef, rigidBodies.rightArm);
-                    if (leftLegRef && rigidBodies.leftLeg) physicsMeshMap.set(leftLegRef, rigidBodies.leftLeg);
-                    if (rightLegRef && rigidBodies.rightLeg) physicsMeshMap.set(rightLegRef, rigidBodies.rightLeg);
-                    
-                    // console.log('🎮 Motor-based jumping jack ready - move mouse to tilt, click to spin!');
-                    // console.log(`📊 Physics bodies: ${Object.keys(rigidBodies).filter(k => rigidBodies[k]).length} total`);
-                } else {
-                    console.error('❌ Failed to create physics bodies - cannot create constraints');
+            // Start the physics (only after GLTF loads and bodyMainRef is found)
+            if (bodyMainRef && jointEmptyRef) {
+                if (!window.torsoMeshes || window.torsoMeshes.length === 0) {
+                    console.error('❌ No torso meshes found for collision creation');
                 }
+
+                // Restore wear from earlier sessions before joints are built
+                loadToyMemory();
+
+                // Ground for torn-off limbs to land on (the floor body comes with the toy's bodies)
+                createFloorMesh();
+
+                // Bodies and joints are built by the simulation from the rig description
+                startPhysics(describeToyRig());
+
+                // CREATE PHYSICS ↔ MESH MAP (MANDATORY) - meshes to the simulation's body names
+                physicsMeshMap = new Map();
+                physicsMeshMap.set(bodyMainRef, 'torso');
+                LIMB_NAMES.forEach(name => {
+                    const ref = getLimbRef(name);
+                    if (ref) physicsMeshMap.set(ref, name);
+                });
+
+                // console.log('🎮 Motor-based jumping jack ready - move mouse to tilt, click to spin!');
             } else {
-                console.error('❌ Cannot create physics bodies - bodyMainRef or physicsWorld missing');
+                console.error('❌ Cannot create physics bodies - body_main group or joint Empty missing');
             }
 
-            // Hide loading overlay (backup call in case Ammo load didn't trigger it)
+            // Hide loading overlay - the toy is in the scene; physics starts alongside
             hideLoading();
 
             // console.log('GLTF loaded successfully');
@@ -470,7 +257,7 @@ function initScene() {
         },
         (error) => {
             console.error('Error loading GLTF:', error);
-            console.error('Make sure ToyMaker_anim1.glb is in the same directory as index.html');
+            console.error(`Make sure ${toyParts.model} is in the same directory as index.html`);
         }
     );
 }
@@ -486,34 +273,23 @@ function findCollectionInGLTF(object, collectionName) {
     return foundCollection;
 }
 
-// Find toy parts in GLTF hierarchy for physics setup
+// Find toy parts in GLTF hierarchy for physics setup - node names come from the part list (toy-parts.json)
 function findToyParts(object) {
     // console.log('=== GLTF ANALYSIS FOR MOTOR-BASED JUMPING JACK ===');
-    // console.log('🔍 Looking for body_main collection for torso physics...');
+    const { anchor, parts } = toyParts;
 
     // Debug: show ALL objects first
     // console.log('📋 ALL GLTF OBJECTS:');
-    // let count = 0;
     // object.traverse((child) => {
-    //     count++;
-    //     console.log(`   ${count}. "${child.name}" (${child.type})`);
+    //     console.log(`   "${child.name}" (${child.type})`);
     // });
 
-    // Only need body_main for now - we'll add limbs later
-    bodyMainRef = findCollectionInGLTF(object, 'body_main') ||
-                  findCollectionInGLTF(object, 'Body') ||
-                  findCollectionInGLTF(object, 'body') ||
-                  findCollectionInGLTF(object, 'torso') ||
-                  findCollectionInGLTF(object, 'Torso');
+    bodyMainRef = findCollectionInGLTF(object, parts.torso.node);
 
     if (bodyMainRef) {
         // console.log('✅ FOUND: body object → will use for torso physics');
         // console.log('📍 Torso name:', bodyMainRef.name);
-        // console.log('📍 Torso position:', bodyMainRef.position);
-        // console.log('📍 Torso rotation:', bodyMainRef.rotation);
-        // console.log('📍 Torso type:', bodyMainRef.type);
-        // console.log('📍 Torso children:', bodyMainRef.children.length);
-        
+
         // Identify and analyze torso meshes for individual collision shapes
         const torsoMeshes = [];
         bodyMainRef.traverse((child) => {
@@ -540,880 +316,1162 @@ function findToyParts(object) {
 
         // Store torso meshes globally for collider creation
         window.torsoMeshes = torsoMeshes;
-
-        // console.log('✅ Using torso group for sync:', bodyMainRef.name);
     } else {
-        console.error('❌ CRITICAL: body_main collection not found - cannot create torso physics');
-        console.error('💡 Check that your Blender collection is named exactly: body_main');
-
-        // Debug: show all available objects (not just Groups)
-        // console.log('🔍 Available objects in GLTF:');
-        // object.traverse((child) => {
-        //     console.log(`   "${child.name}" (${child.type})`);
-        // });
+        console.error(`❌ CRITICAL: torso node "${parts.torso.node}" not found - cannot create torso physics`);
+        console.error('💡 Check parts.torso.node in toy-parts.json against the object names in Blender');
     }
 
-    // STEP 1: IDENTIFY THE JOINT CONSTRAINT (was Empty in Blender)
-    // Search for constraint objects that represent joints
-    const constraintNames = ['Constraint_left_hand', 'Constraint_right_hand',
-                           'Constraint_left_leg', 'Constraint_right_leg'];
-
-    // For torso joint, look for any constraint or use origin
-    jointEmptyRef = null;
-
-    // Try to find a central constraint or use origin as fallback
-    jointEmptyRef = findCollectionInGLTF(object, 'Constraint_left_hand') ||
-                   findCollectionInGLTF(object, 'Constraint_right_hand') ||
-                   findCollectionInGLTF(object, 'Constraint_left_leg') ||
-                   findCollectionInGLTF(object, 'Constraint_right_leg');
+    // Spin pivot on the stick (was an Empty in Blender): the empty marked spin_pivot in Blender,
+    // else the part list's anchor, else the origin
+    jointEmptyRef = findSpinPivot(object) ||
+                    (anchor && anchor.pivot ? findCollectionInGLTF(object, anchor.pivot) : null);
 
     if (!jointEmptyRef) {
-        // Create a virtual joint at origin if no constraints found
-        // console.log('⚠️ No constraint objects found, using origin as joint');
+        // Create a virtual joint at origin if no pivot found
+        // console.log('⚠️ No spin pivot found, using origin as joint');
         jointEmptyRef = {
             name: 'virtual_joint',
             position: new THREE.Vector3(0, 0, 0),
             getWorldPosition: (vec) => vec.set(0, 0, 0)
         };
-    } else {
-        // console.log('✅ Using constraint as joint:', jointEmptyRef.name);
-        // console.log('📍 Joint position:', jointEmptyRef.position);
     }
 
-    // Find limbs for future physics setup - try multiple naming patterns
-    const findLimb = (patterns) => {
-        for (const pattern of patterns) {
-            const found = findCollectionInGLTF(object, pattern);
-            if (found) return found;
-        }
-        return null;
-    };
-
-    leftArmRef = findLimb(['left_arm', 'LeftArm', 'leftArm', 'L_Arm', 'LArm']);
-    rightArmRef = findLimb(['right_arm', 'RightArm', 'rightArm', 'R_Arm', 'RArm']);
-    leftLegRef = findLimb(['left_leg', 'LeftLeg', 'leftLeg', 'L_Leg', 'LLeg']);
-    rightLegRef = findLimb(['right_leg', 'RightLeg', 'rightLeg', 'R_Leg', 'RLeg']);
-
-    // Find constraint objects for joint positions
-    leftHandConstraint = findCollectionInGLTF(object, 'Constraint_left_hand');
-    rightHandConstraint = findCollectionInGLTF(object, 'Constraint_right_hand');
-    leftLegConstraint = findCollectionInGLTF(object, 'Constraint_left_leg');
-    rightLegConstraint = findCollectionInGLTF(object, 'Constraint_right_leg');
-
-    // console.log('📋 Limbs found:', {
-    //     leftArm: !!leftArmRef,
-    //     rightArm: !!rightArmRef,
-    //     leftLeg: !!leftLegRef,
-    //     rightLeg: !!rightLegRef
-    // });
-
-    // console.log('🔗 Joint constraints found:', {
-    //     leftHand: !!leftHandConstraint,
-    //     rightHand: !!rightHandConstraint,
-    //     leftLeg: !!leftLegConstraint,
-    //     rightLeg: !!rightLegConstraint
-    // });
-
-    // Debug: Show positions of constraints vs limbs vs torso
-    if (bodyMainRef) {
-        const torsoPos = new THREE.Vector3();
-        bodyMainRef.getWorldPosition(torsoPos);
-        // console.log(`📍 Torso position: (${torsoPos.x.toFixed(3)}, ${torsoPos.y.toFixed(3)}, ${torsoPos.z.toFixed(3)})`);
-    }
-
-    const constraints = [
-        { name: 'leftHand', obj: leftHandConstraint },
-        { name: 'rightHand', obj: rightHandConstraint },
-        { name: 'leftLeg', obj: leftLegConstraint },
-        { name: 'rightLeg', obj: rightLegConstraint }
-    ];
-
-    constraints.forEach(({ name, obj }) => {
-        if (obj) {
-            const pos = new THREE.Vector3();
-            obj.getWorldPosition(pos);
-            // console.log(`📍 ${name} constraint: (${pos.x.toFixed(3)}, ${pos.y.toFixed(3)}, ${pos.z.toFixed(3)})`);
-        }
-    });
+    // Limbs and the Constraint_* empties marking their joints
+    limbRefs = {};
+    limbJointRefs = {};
+    LIMB_NAMES.forEach(name => {
+        const part = parts[name];
+        if (!part) return;
 
-    const limbs = [
-        { name: 'leftArm', obj: leftArmRef },
-        { name: 'rightArm', obj: rightArmRef },
-        { name: 'leftLeg', obj: leftLegRef },
-        { name: 'rightLeg', obj: rightLegRef }
-    ];
-
-    limbs.forEach(({ name, obj }) => {
-        if (obj) {
-            const pos = new THREE.Vector3();
-            obj.getWorldPosition(pos);
-            // console.log(`📍 ${name} limb: (${pos.x.toFixed(3)}, ${pos.y.toFixed(3)}, ${pos.z.toFixed(3)})`);
+        const ref = findCollectionInGLTF(object, part.node);
+        if (!ref) {
+            console.warn(`⚠️ ${name} node "${part.node}" not found - the toy is built without it`);
+            return;
         }
-    });
+        limbRefs[name] = ref;
 
-    // Show which names were found
-    const limbRefs = { leftArmRef, rightArmRef, leftLegRef, rightLegRef };
-    Object.entries(limbRefs).forEach(([key, ref]) => {
-        if (ref) {
-            // console.log(`✅ ${key}: "${ref.name}"`);
+        if (part.pivot) {
+            limbJointRefs[name] = findCollectionInGLTF(object, part.pivot);
+            if (!limbJointRefs[name]) {
+                console.warn(`⚠️ ${name} pivot "${part.pivot}" not found - jointed at the limb origin`);
+            }
         }
-    });
 
-    // Debug limb structure
-    [leftArmRef, rightArmRef, leftLegRef, rightLegRef].forEach((ref, index) => {
-        if (ref) {
-            const names = ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'];
-            let meshCount = 0;
-            ref.traverse((child) => {
-                if (child.isMesh) meshCount++;
-            });
-            // console.log(`📊 ${names[index]} contains ${meshCount} meshes`);
-        }
+        // let meshCount = 0;
+        // ref.traverse((child) => { if (child.isMesh) meshCount++; });
+        // console.log(`📊 ${name}: "${ref.name}" contains ${meshCount} meshes`);
     });
 }
 
-// Initialize Ammo.js physics world and create rigid bodies
-
-// Create rigid bodies for anchor and torso (motor-based system)
-function createRigidBodies() {
-    // console.log('🏗️ Creating motor-based rigid bodies...');
+// Blender Constraint_* empty that marks a limb's joint
+function getLimbJointObject(name) {
+    return limbJointRefs[name] || null;
+}
 
-    if (!AmmoLib) {
-        console.error('❌ Cannot create rigid bodies - AmmoLib not loaded');
-        return;
-    }
+// Three.js object for a limb
+function getLimbRef(name) {
+    return limbRefs[name] || null;
+}
 
-    if (!bodyMainRef) {
-        console.error('❌ Cannot create rigid bodies - body_main group not found');
-        return;
-    }
+// Limbs taking part in the simulation: body exists and the limb is not missing
+function getActiveLimbNames() {
+    return LIMB_NAMES.filter(name => initialStates[name] && limbConditions[name] !== 'missing');
+}
 
-    if (!physicsWorld) {
-        console.error('❌ Cannot create rigid bodies - physicsWorld not initialized');
-        return;
-    }
+// Active limbs still held by a joint (torn-off limbs fly free)
+function getAttachedLimbNames() {
+    return getActiveLimbNames().filter(name => !detachedLimbs.has(name));
+}
 
-    if (!jointEmptyRef) {
-        console.error('❌ Cannot create rigid bodies - joint Empty not found');
-        return;
-    }
+// Rest pose of the loaded GLB as a plain rig description for the physics core (see physics-core.js)
+// Masses, shapes, joints and collision groups come from the part list (toy-parts.json)
+// Same data a Node script loads from toy-rig.json - positions [x, y, z], quaternions [x, y, z, w]
+function describeToyRig() {
+    const toArray = v => [v.x, v.y, v.z];
+    const toQuatArray = q => [q.x, q.y, q.z, q.w];
+    const { parts } = toyParts;
+
+    // Anchor aligned to the joint Empty
+    const jointWorldPos = new THREE.Vector3();
+    jointEmptyRef.getWorldPosition(jointWorldPos);
+
+    const torsoPos = new THREE.Vector3();
+    const torsoQuat = new THREE.Quaternion();
+    bodyMainRef.getWorldPosition(torsoPos);
+    bodyMainRef.getWorldQuaternion(torsoQuat);
+
+    const rig = {
+        version: ToyPhysicsCore.RIG_VERSION,
+        anchor: { position: toArray(jointWorldPos) },
+        torso: {
+            position: toArray(torsoPos),
+            quaternion: toQuatArray(torsoQuat),
+            mass: readPartMass(bodyMainRef, parts.torso.mass),
+            shape: fitPartShape(parts.torso.shape, bodyMainRef, torsoPos, torsoQuat),
+            inertiaScale: parts.torso.inertiaScale, // Lighter turning, even on every axis so limb kicks can't whip it round the stick
+            collision: parts.torso.collision
+        },
+        panels: [],
+        limbs: {}
+    };
 
-        // console.log('✅ bodyMainRef confirmed, proceeding with physics creation...');
+    // Torso parts (shapes in the torso body) - skip only truly irrelevant meshes (strings, very tiny decorative parts)
+    const panels = parts.torso.panels;
+    (panels ? window.torsoMeshes || [] : []).forEach(({ name, mesh, boundingBox, worldPosition, worldQuaternion }) => {
+        const size = boundingBox.getSize(new THREE.Vector3());
+        const minSize = panels.minSize || 0;
+        const shouldSkip = (panels.skip || []).some(pattern => name.includes(pattern)) ||
+                          (size.x < minSize && size.y < minSize && size.z < minSize &&
+                           !(panels.keep || []).some(pattern => name.includes(pattern)));
+
+        if (shouldSkip) {
+            // console.log(`⏭️ Skipping collision for irrelevant mesh: ${name} (size: ${size.x.toFixed(2)}, ${size.y.toFixed(2)}, ${size.z.toFixed(2)})`);
+            return;
+        }
 
-    // STEP 2: CREATE STATIC ANCHOR BODY (follows cursor) - ALIGNED TO JOINT EMPTY
-    {
-        // Use btSphereShape for simple anchor
-        const anchorShape = new AmmoLib.btSphereShape(0.1); // Small sphere
+        rig.panels.push({
+            name,
+            position: toArray(worldPosition),
+            quaternion: toQuatArray(worldQuaternion),
+            shape: fitPanelShape(panels, name, mesh, size, worldPosition, worldQuaternion)
+        });
+    });
 
-        // Align anchor to Empty position initially
-        const jointWorldPos = new THREE.Vector3();
-        jointEmptyRef.getWorldPosition(jointWorldPos);
+    // Limbs jointed to their parent at their Constraint_* Empty
+    LIMB_NAMES.forEach(name => {
+        const ref = getLimbRef(name);
+        const part = parts[name];
+        if (!ref || !part) return;
 
-        const anchorTransform = new AmmoLib.btTransform();
-        anchorTransform.setIdentity();
-        anchorTransform.setOrigin(
-            new AmmoLib.btVector3(
-                jointWorldPos.x,
-                jointWorldPos.y,
-                jointWorldPos.z
-            )
-        );
+        const worldPos = new THREE.Vector3();
+        const worldQuat = new THREE.Quaternion();
+        ref.getWorldPosition(worldPos);
+        ref.getWorldQuaternion(worldQuat);
 
-        const anchorMotionState = new AmmoLib.btDefaultMotionState(anchorTransform);
+        // Fallback: use limb origin as joint
+        const jointObject = getLimbJointObject(name);
+        const jointPos = worldPos.clone();
+        if (jointObject) {
+            jointObject.getWorldPosition(jointPos);
+        }
 
-        // mass = 0 for static body
-        const anchorInfo = new AmmoLib.btRigidBodyConstructionInfo(
-            0, // mass = 0 (static)
-            anchorMotionState,
-            anchorShape,
-            new AmmoLib.btVector3(0, 0, 0) // zero inertia for static
-        );
+        // Blender custom properties on the pivot empty win over the part list
+        const joint = Object.assign({}, part.joint, readJointExtras(jointObject, part.joint));
+        rig.limbs[name] = {
+            position: toArray(worldPos),
+            quaternion: toQuatArray(worldQuat),
+            mass: readPartMass(ref, part.mass),
+            shape: fitPartShape(part.shape, ref, worldPos, worldQuat, jointPos),
+            parent: part.parent,
+            joint: toArray(jointPos),
+            axis: joint.axis,
+            limits: joint.limits,
+            stiffness: joint.stiffness,
+            stretch: joint.stretch,
+            collision: part.collision
+        };
+    });
 
-        rigidBodies.anchor = new AmmoLib.btRigidBody(anchorInfo);
-        rigidBodies.anchor.setCollisionFlags(
-            rigidBodies.anchor.getCollisionFlags() | 2 // CF_KINEMATIC_OBJECT
-        );
-        rigidBodies.anchor.setActivationState(4); // DISABLE_DEACTIVATION
+    return rig;
+}
 
-        physicsWorld.addRigidBody(rigidBodies.anchor, GROUP_TORSO, GROUP_TORSO); // Anchor collides with everything
-        // console.log('✅ Created static anchor body (kinematic, follows cursor)');
+// BLENDER CUSTOM PROPERTIES - glTF extras arrive in userData, so artists can tune the toy in Blender
+// On a limb's Constraint_* empty: hinge_axis (axis of the empty in Blender terms - "Z", "-Y" or [x, y, z]),
+// swing_min / swing_max (degrees), stiffness, stretch. On a part or its meshes: mass (meshes add up).
+// spin_pivot marks the empty the toy spins around. All of them win over toy-parts.json.
+const BLENDER_TO_GLTF_AXIS = ([x, y, z]) => new THREE.Vector3(x, z, -y); // Blender is Z-up, glTF Y-up
+
+function readExtraNumber(object, key) {
+    const value = object.userData[key];
+    if (value === undefined) return undefined;
+    if (typeof value !== 'number' || !isFinite(value)) {
+        console.warn(`⚠️ ${object.name}: custom property ${key} should be a number, got ${JSON.stringify(value)}`);
+        return undefined;
     }
+    return value;
+}
 
-    // STEP 4: CREATE DYNAMIC TORSO BODY
-    {
-        // Get world transform from Three.js group
-        const worldPos = new THREE.Vector3();
-        const worldQuat = new THREE.Quaternion();
-        bodyMainRef.getWorldPosition(worldPos);
-        bodyMainRef.getWorldQuaternion(worldQuat);
-
-        // Approximate box shape from group bounds
-        const bbox = new THREE.Box3().setFromObject(bodyMainRef);
-        const size = bbox.getSize(new THREE.Vector3());
+// Hinge axis from the empty's orientation, limits and elastic tuning - only what the empty sets
+function readJointExtras(jointObject, defaults = {}) {
+    const extras = {};
+    if (!jointObject || !jointObject.userData) return extras;
+
+    const hingeAxis = jointObject.userData.hinge_axis;
+    if (hingeAxis !== undefined) {
+        const named = typeof hingeAxis === 'string' && hingeAxis.trim().toUpperCase().match(/^([+-]?)([XYZ])$/);
+        let local = null;
+        if (named) {
+            local = [0, 0, 0];
+            local['XYZ'.indexOf(named[2])] = named[1] === '-' ? -1 : 1;
+        } else if (Array.isArray(hingeAxis) && hingeAxis.length === 3 && hingeAxis.every(v => typeof v === 'number')) {
+            local = hingeAxis;
+        }
 
-        // Debug: Validate torso size
-        if (isNaN(size.x) || isNaN(size.y) || isNaN(size.z) ||
-            size.x <= 0 || size.y <= 0 || size.z <= 0) {
-            console.error('❌ Invalid torso bounding box size:', size.x, size.y, size.z);
-            return;
+        if (local && local.some(v => v !== 0)) {
+            const worldQuat = new THREE.Quaternion();
+            jointObject.getWorldQuaternion(worldQuat);
+            const axis = BLENDER_TO_GLTF_AXIS(local).normalize().applyQuaternion(worldQuat);
+            extras.axis = [axis.x, axis.y, axis.z];
+        } else {
+            console.warn(`⚠️ ${jointObject.name}: hinge_axis should be X, Y, Z (optionally signed) or [x, y, z], got ${JSON.stringify(hingeAxis)}`);
         }
+    }
 
-        // Shrink collision shapes significantly to prevent initial overlap
-        const shrink = 0.5; // 50% of original size for torso (more clearance)
-        const halfExtents = new AmmoLib.btVector3(
-            size.x * 0.5 * shrink,
-            size.y * 0.5 * shrink,
-            size.z * 0.5 * shrink
-        );
+    const swingMin = readExtraNumber(jointObject, 'swing_min');
+    const swingMax = readExtraNumber(jointObject, 'swing_max');
+    if (swingMin !== undefined || swingMax !== undefined) {
+        const limits = defaults.limits || [-135, 135];
+        extras.limits = [swingMin === undefined ? limits[0] : swingMin, swingMax === undefined ? limits[1] : swingMax];
+    }
 
-        // Create box shape
-        const torsoShape = new AmmoLib.btBoxShape(halfExtents);
+    ['stiffness', 'stretch'].forEach(key => {
+        const value = readExtraNumber(jointObject, key);
+        if (value !== undefined) extras[key] = value;
+    });
+
+    // if (Object.keys(extras).length > 0) console.log(`🎛️ ${jointObject.name} custom properties:`, extras);
+    return extras;
+}
 
-        // Calculate local inertia (mass = 2.0)
-        const mass = 2.0; // Dynamic torso
-        const localInertia = new AmmoLib.btVector3(0, 0, 0);
-        torsoShape.calculateLocalInertia(mass, localInertia);
+// Mass set on the part itself, else the sum of its meshes' masses, else the part list's
+function readPartMass(object, fallback) {
+    const own = readExtraNumber(object, 'mass');
+    if (own !== undefined) return own;
 
-        // Scale inertia to allow rotation around Y-axis (spin axis)
-        // Reduce Y component aggressively for easy spinning, moderate reduction for X/Z
-        localInertia.setX(localInertia.x() * 0.3);  // Moderate reduction
-        localInertia.setY(localInertia.y() * 0.05); // Aggressive reduction for spin axis
-        localInertia.setZ(localInertia.z() * 0.3);  // Moderate reduction
+    let total = 0;
+    let found = false;
+    object.traverse((child) => {
+        if (child === object || !child.isMesh) return;
+        const mass = readExtraNumber(child, 'mass');
+        if (mass !== undefined) {
+            total += mass;
+            found = true;
+        }
+    });
+    return found ? total : fallback;
+}
 
-        // console.log(`🔄 Torso inertia scaled: X=${localInertia.x().toFixed(3)}, Y=${localInertia.y().toFixed(3)}, Z=${localInertia.z().toFixed(3)}`);
+// The empty marked spin_pivot in Blender, if any
+function findSpinPivot(object) {
+    let pivot = null;
+    object.traverse((child) => {
+        if (!pivot && child.userData && child.userData.spin_pivot) {
+            pivot = child;
+        }
+    });
+    return pivot;
+}
 
-        // Create motion state at the GLTF position - physics body starts where mesh is
-        const transform = new AmmoLib.btTransform();
-        transform.setIdentity();
-        transform.setOrigin(new AmmoLib.btVector3(worldPos.x, worldPos.y, worldPos.z));
-        transform.setRotation(new AmmoLib.btQuaternion(worldQuat.x, worldQuat.y, worldQuat.z, worldQuat.w));
+// Part shapes with fit: 'bounds' are boxes sized from the object's bounding box (times scale, e.g. 0.5
+// keeps the torso clear of the limbs at rest); fit: 'principalAxis' capsules follow the mesh (see
+// fitPrincipalCapsule); other shapes are taken as given. position/quaternion is the part's body frame
+function fitPartShape(shape, object, position, quaternion, pivot) {
+    if (shape.fit === 'principalAxis') {
+        const localPivot = pivot && pivot.clone().sub(position).applyQuaternion(quaternion.clone().invert());
+        return fitPrincipalCapsule(shape, object, collectMeshPoints(object, position, quaternion), localPivot);
+    }
+    if (shape.fit !== 'bounds') {
+        return shape;
+    }
 
-        const motionState = new AmmoLib.btDefaultMotionState(transform);
+    const size = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+    if (isNaN(size.x) || isNaN(size.y) || isNaN(size.z) || size.x <= 0 || size.y <= 0 || size.z <= 0) {
+        throw new Error(`❌ Invalid ${object.name} bounding box size: ${size.x}, ${size.y}, ${size.z}`);
+    }
 
-        // Create rigid body info
-        const rbInfo = new AmmoLib.btRigidBodyConstructionInfo(mass, motionState, torsoShape, localInertia);
+    const halfExtents = size.multiplyScalar(0.5 * (shape.scale || 1));
+    return { type: 'box', halfExtents: [halfExtents.x, halfExtents.y, halfExtents.z] };
+}
 
-        // Create rigid body
-        rigidBodies.torso = new AmmoLib.btRigidBody(rbInfo);
+// GEOMETRY-FITTED COLLIDERS - shapes built from the mesh vertices rather than bounding boxes
 
-        if (!rigidBodies.torso) {
-            throw new Error("❌ Failed to create torso rigid body!");
-        }
+// Every mesh vertex under object, in the frame at position/quaternion (the body the shape belongs to)
+function collectMeshPoints(object, position, quaternion) {
+    const toLocal = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1)).invert();
+    const points = [];
+    object.updateMatrixWorld(true);
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry.attributes.position) return;
 
-        // Torso stays dynamic (not kinematic) - only limbs are kinematic for manual control
-        // Set activation state and damping once at creation
-        rigidBodies.torso.setActivationState(4); // DISABLE_DEACTIVATION
-        if (window.physicsMode === 'elastic') {
-            rigidBodies.torso.setDamping(0.01, 0.01); // Lighter damping for elastic behavior
-        } else {
-            rigidBodies.torso.setDamping(0.02, 0.02); // Balanced damping for hinge stability
+        const matrix = new THREE.Matrix4().multiplyMatrices(toLocal, child.matrixWorld);
+        const vertices = child.geometry.attributes.position;
+        for (let i = 0; i < vertices.count; i++) {
+            points.push(new THREE.Vector3().fromBufferAttribute(vertices, i).applyMatrix4(matrix));
         }
+    });
+    return points;
+}
 
-        // Store initial state for reset functionality
-        initialStates.torso = {
-            position: worldPos.clone(),
-            quaternion: worldQuat.clone(),
-            transform: transform
-        };
+// Capsule along the principal axis of the points (largest covariance eigenvector), spanning their extent
+// along it. radius: fixed, or the radiusPercentile of the distances off the axis (0.9 ignores knobs and hands)
+// trimAtPivot shortens the pivot end - the GLB's limbs run inside the torso there, and a capsule that
+// overlaps the torso parts at rest would jam the joint
+function fitPrincipalCapsule(shape, object, points, pivot) {
+    if (points.length < 2) {
+        throw new Error(`❌ ${object.name} has no mesh vertices to fit a capsule to`);
+    }
 
-        // Add to physics world - torso core does NOT collide with anything (mass/inertia/constraints only)
-        physicsWorld.addRigidBody(rigidBodies.torso, GROUP_TORSO, 0); // Torso collides with nothing
+    const mean = new THREE.Vector3();
+    points.forEach(p => mean.add(p));
+    mean.divideScalar(points.length);
 
-        // FAIL FAST: Validate physics authority
-        validatePhysicsAuthority();
+    const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    points.forEach(p => {
+        const d = [p.x - mean.x, p.y - mean.y, p.z - mean.z];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) covariance[i][j] += d[i] * d[j];
+        }
+    });
 
-        // console.log(`✅ DYNAMIC TORSO CREATED (mass: ${mass}, size: ${size.x.toFixed(3)}, ${size.y.toFixed(3)}, ${size.z.toFixed(3)})`);
+    // Power iteration - the toy's limbs are long and thin, so the largest eigenvalue stands well apart
+    let axis = new THREE.Vector3(1, 1, 1).normalize();
+    for (let iteration = 0; iteration < 50; iteration++) {
+        const [a, b, c] = covariance;
+        const next = new THREE.Vector3(
+            a[0] * axis.x + a[1] * axis.y + a[2] * axis.z,
+            b[0] * axis.x + b[1] * axis.y + b[2] * axis.z,
+            c[0] * axis.x + c[1] * axis.y + c[2] * axis.z
+        );
+        if (next.lengthSq() === 0) break;
+        axis = next.normalize();
     }
 
-    // STEP 5: CREATE INDIVIDUAL TORSO MESH COLLIDERS
-    {
-        if (!window.torsoMeshes || window.torsoMeshes.length === 0) {
-            console.error('❌ No torso meshes found for collision creation');
-            return;
-        }
+    let minT = Infinity;
+    let maxT = -Infinity;
+    const distances = points.map(p => {
+        const offset = p.clone().sub(mean);
+        const t = offset.dot(axis);
+        minT = Math.min(minT, t);
+        maxT = Math.max(maxT, t);
+        return offset.addScaledVector(axis, -t).length();
+    });
 
-        rigidBodies.torsoMeshColliders = []; // Store individual mesh colliders
+    let radius = shape.radius;
+    if (radius === undefined) {
+        distances.sort((a, b) => a - b);
+        const percentile = shape.radiusPercentile === undefined ? 0.9 : shape.radiusPercentile;
+        radius = distances[Math.min(distances.length - 1, Math.floor(percentile * distances.length))];
+    }
 
-        window.torsoMeshes.forEach((meshInfo, index) => {
-            const { name, mesh, boundingBox, worldPosition, worldQuaternion } = meshInfo;
+    if (shape.trimAtPivot && pivot) {
+        if (pivot.clone().sub(mean).dot(axis) > (minT + maxT) / 2) {
+            maxT -= shape.trimAtPivot;
+        } else {
+            minT += shape.trimAtPivot;
+        }
+    }
 
-            // Skip only truly irrelevant meshes (strings, very tiny decorative parts)
-            // Include body panels, slabs, and structural elements for collision
-            const size = boundingBox.getSize(new THREE.Vector3());
-            const shouldSkip = name.includes('string') ||
-                              (size.x < 0.05 && size.y < 0.05 && size.z < 0.05 && !name.includes('stick'));
+    const extent = maxT - minT;
+    if (extent <= 0) {
+        throw new Error(`❌ ${object.name} capsule trimmed away - trimAtPivot is longer than the limb`);
+    }
+    const center = mean.clone().addScaledVector(axis, (minT + maxT) / 2);
+    // console.log(`💊 ${object.name} capsule: radius ${radius.toFixed(3)}, length ${extent.toFixed(3)}`);
+    return {
+        type: 'capsule',
+        radius,
+        height: Math.max(0, extent - 2 * radius),
+        center: [center.x, center.y, center.z],
+        axis: [axis.x, axis.y, axis.z]
+    };
+}
 
-            if (shouldSkip) {
-                // console.log(`⏭️ Skipping collision for irrelevant mesh: ${name} (size: ${size.x.toFixed(2)}, ${size.y.toFixed(2)}, ${size.z.toFixed(2)})`);
-                return;
-            }
+// Torso panel collider - panels.shape ('box', 'hull' or 'simplifiedHull') with per-mesh overrides in
+// panels.shapes. Hulls take the mesh vertices in the panel's frame, decimated to panels.maxPoints;
+// 'simplifiedHull' reduces that further to Bullet's btShapeHull approximation
+function fitPanelShape(panels, name, mesh, size, position, quaternion) {
+    const type = (panels.shapes && panels.shapes[name]) || panels.shape || 'box';
+    const padding = panels.padding || 0;
 
-            // Create collision shape that matches mesh geometry
-            // console.log(`🔧 Creating collider for torso mesh "${name}"`);
+    if (type === 'hull' || type === 'simplifiedHull') {
+        const points = decimatePoints(collectMeshPoints(mesh, position, quaternion), panels.maxPoints || 64);
+        // console.log(`    🔷 Using ${type} collider for ${name}: ${points.length} points`);
+        return {
+            type: 'convexHull',
+            points: points.map(p => [p.x, p.y, p.z]),
+            simplify: type === 'simplifiedHull',
+            margin: padding
+        };
+    }
 
-            let shape;
+    if (type !== 'box') {
+        console.warn(`⚠️ Unknown panel shape "${type}" for ${name} - using a box`);
+    }
+    console.log(`    📦 Using box collider: size=(${size.x.toFixed(2)}, ${size.y.toFixed(2)}, ${size.z.toFixed(2)})`);
+    return { type: 'box', halfExtents: [size.x / 2 + padding, size.y / 2 + padding, size.z / 2 + padding] };
+}
 
-            // Get vertex count for decision making (defined early for use in conditionals)
-            let vertexCount = 0;
-            try {
-                if (mesh.geometry && mesh.geometry.attributes.position) {
-                    vertexCount = mesh.geometry.attributes.position.array.length / 3;
-                }
-            } catch (e) {
-                // Ignore errors, vertexCount remains 0
+// Vertex clustering on a grid that coarsens until at most maxPoints cells are used; each cell keeps its
+// point farthest from the centroid, so the hull loses detail but not its outer extent. Cells are sized per
+// axis (same count along each side of the bounds) so thin parts like the stick keep their width
+function decimatePoints(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+
+    const bounds = new THREE.Box3().setFromPoints(points);
+    const centroid = bounds.getCenter(new THREE.Vector3());
+    const size = bounds.getSize(new THREE.Vector3()).max(new THREE.Vector3(1e-6, 1e-6, 1e-6));
+
+    for (let divisions = maxPoints; ; divisions = Math.floor(divisions / 1.1)) {
+        const cellSize = size.clone().divideScalar(divisions);
+        const cells = new Map();
+        points.forEach(p => {
+            const key = `${Math.floor((p.x - bounds.min.x) / cellSize.x)},${Math.floor((p.y - bounds.min.y) / cellSize.y)},${Math.floor((p.z - bounds.min.z) / cellSize.z)}`;
+            const kept = cells.get(key);
+            if (!kept || p.distanceToSquared(centroid) > kept.distanceToSquared(centroid)) {
+                cells.set(key, p);
             }
-
-            // Use reliable box shapes for all torso meshes - avoid convex hull issues entirely
-            const padding = 0.01;
-            const halfExtents = new AmmoLib.btVector3(
-                (size.x * 0.5) + padding,
-                (size.y * 0.5) + padding,
-                (size.z * 0.5) + padding
-            );
-
-            shape = new AmmoLib.btBoxShape(halfExtents);
-            console.log(`    📦 Using box collider: size=(${size.x.toFixed(2)}, ${size.y.toFixed(2)}, ${size.z.toFixed(2)})`);
-
-            // Static body (mass = 0) - kinematic collision-only
-            const localInertia = new AmmoLib.btVector3(0, 0, 0);
-
-            // Position collider at mesh world position
-            const transform = new AmmoLib.btTransform();
-            transform.setIdentity();
-            transform.setOrigin(new AmmoLib.btVector3(worldPosition.x, worldPosition.y, worldPosition.z));
-            transform.setRotation(new AmmoLib.btQuaternion(worldQuaternion.x, worldQuaternion.y, worldQuaternion.z, worldQuaternion.w));
-
-            const motionState = new AmmoLib.btDefaultMotionState(transform);
-            const rbInfo = new AmmoLib.btRigidBodyConstructionInfo(0, motionState, shape, localInertia);
-
-            const colliderBody = new AmmoLib.btRigidBody(rbInfo);
-            colliderBody.setCollisionFlags(colliderBody.getCollisionFlags() | 1); // CF_STATIC_OBJECT
-            colliderBody.setActivationState(4); // DISABLE_DEACTIVATION
-
-            // Add to physics world - collides with limbs
-            physicsWorld.addRigidBody(colliderBody, GROUP_TORSO_PART, GROUP_LIMB);
-
-            // Debug: Log collision shape type and basic info
-            const shapeType = shape.constructor.name;
-            // console.log(`  🎯 Added ${shapeType} collider for "${name}"`);
-
-            // Store for later position updates
-            rigidBodies.torsoMeshColliders.push({
-                body: colliderBody,
-                mesh: mesh,
-                name: name,
-                initialPosition: worldPosition.clone(),
-                initialQuaternion: worldQuaternion.clone(),
-                shape: shape,
-                shapeType: shapeType
-            });
         });
 
-        // console.log(`✅ Created ${rigidBodies.torsoMeshColliders.length} individual torso mesh colliders`);
+        if (cells.size <= maxPoints || divisions <= 1) {
+            return Array.from(cells.values());
+        }
     }
+}
 
-    // Create limbs (arms and legs)
-    const limbs = [
-        { name: 'leftArm', ref: leftArmRef, mass: 0.5 },
-        { name: 'rightArm', ref: rightArmRef, mass: 0.5 },
-        { name: 'leftLeg', ref: leftLegRef, mass: 0.7 },
-        { name: 'rightLeg', ref: rightLegRef, mass: 0.7 }
-    ];
+window.describeToyRig = describeToyRig;
 
-    limbs.forEach(({ name, ref, mass }) => {
-        if (!ref) {
-            return;
-        }
+// Physics mode, limb conditions and everything else about the simulated toy live in the simulation.
+// These dispatch inputs (recorded like the buttons); the page follows the status it sends back
 
-        // Get world transform
-        const worldPos = new THREE.Vector3();
-        const worldQuat = new THREE.Quaternion();
-        ref.getWorldPosition(worldPos);
-        ref.getWorldQuaternion(worldQuat);
+// Switch between New Toy (hinge) and Old Toy (elastic) live
+// The simulation tears down the limb joints and rebuilds them for the new mode - the GLB is not reloaded
+function setPhysicsMode(mode) {
+    if (isComparing()) {
+        // Side by side the twin always shows the other toy
+        dispatchInput({ type: 'setPhysicsMode', mode }, 0);
+        dispatchInput({ type: 'setPhysicsMode', mode: getOtherPhysicsMode(mode) }, compareToyId);
+        return;
+    }
 
-        // Create collision shape for limbs - use capsule for reliability
-        // console.log(`🔧 Creating collider for limb mesh "${name}"`);
+    dispatchInput({ type: 'setPhysicsMode', mode });
+}
 
-        // For limbs, always use capsule for consistent, reliable physics
-        // Limbs are typically cylindrical/rod-like shapes that work well with capsules
-        const radius = 0.08;      // thickness of wooden limb
-        const height = 1.2;       // length excluding caps
-        const shape = new AmmoLib.btCapsuleShape(radius, height);
-        // console.log(`    📏 Using capsule for limb: radius=${radius.toFixed(3)}, height=${height.toFixed(3)}`);
+// SPIN MOTOR - how fast a press spins the toy (RPM; null for the mode's own speed). The motor on the stick
+// ramps up to it and brakes back down; the simulation caps it at the mode's top speed
+function setSpinTarget(rpm) {
+    if (rpm !== null && !(Number.isFinite(rpm) && rpm >= 0)) {
+        console.warn(`⚠️ Unknown spin target: ${rpm} RPM`);
+        return;
+    }
 
-        // Calculate local inertia
-        const localInertia = new AmmoLib.btVector3(0, 0, 0);
-        shape.calculateLocalInertia(mass, localInertia);
+    dispatchInput({ type: 'setSpinTarget', rpm });
+}
 
-        // Create initial transform matching mesh position and rotation
-        const initialTransform = new AmmoLib.btTransform();
-        initialTransform.setIdentity();
-        initialTransform.setOrigin(new AmmoLib.btVector3(worldPos.x, worldPos.y, worldPos.z));
-        initialTransform.setRotation(new AmmoLib.btQuaternion(worldQuat.x, worldQuat.y, worldQuat.z, worldQuat.w));
+// RPM a press spins the toy at now - the set target or the mode's own
+function getSpinTarget() {
+    return physicsStatus ? physicsStatus.spinRpm : null;
+}
 
+// Spin speed slider and label follow the toy
+function updateSpinTargetControl() {
+    const slider = document.getElementById('spinTargetSlider');
+    const label = document.getElementById('spinTargetLabel');
+    const rpm = getSpinTarget();
+    if (!slider || !label || rpm === null) return;
 
-        // Create motion state with initial transform
-        const motionState = new AmmoLib.btDefaultMotionState(initialTransform);
-        const rbInfo = new AmmoLib.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
+    slider.value = rpm;
+    label.textContent = `${Math.round(rpm)} RPM`;
+}
 
-        rigidBodies[name] = new AmmoLib.btRigidBody(rbInfo);
+// BROKEN TOY - set one limb to 'attached', 'loose' or 'missing'
+function setLimbCondition(name, condition) {
+    if (!LIMB_NAMES.includes(name) || !LIMB_CONDITIONS.includes(condition)) {
+        console.warn(`⚠️ Unknown limb condition: ${name} → ${condition}`);
+        return;
+    }
 
-        // SAFETY CHECK: Ensure limb is NOT kinematic
-        const flags = rigidBodies[name].getCollisionFlags();
-        if (flags & 2) { // CF_KINEMATIC_OBJECT
-            console.error(`❌ ${name} was created as kinematic - this breaks physics!`);
-            throw new Error(`${name} must be dynamic from creation`);
-        }
-        // console.log(`✅ ${name} created as dynamic body (flags: ${flags})`);
+    dispatchInput({ type: 'setLimbCondition', limb: name, condition });
+}
 
-        // Store initial state for reset functionality
-        initialStates[name] = {
-            position: worldPos.clone(),
-            quaternion: worldQuat.clone(),
-            transform: initialTransform
-        };
+// Toggle the toy from the artist's memory (BROKEN_TOY_PRESET in toy-simulation.js) or a complete toy
+function setBrokenToy(broken) {
+    dispatchInput({ type: 'setBrokenToy', broken });
+}
 
-        // Dynamic body setup - limbs must be dynamic from creation
-        if (window.physicsMode === 'elastic') {
-            rigidBodies[name].setDamping(0.002, 0.005); // Very light damping for elastic drift
-        } else {
-            rigidBodies[name].setDamping(0.005, 0.01); // Balanced damping for hinge stability
+// Missing limbs are hidden
+function updateLimbVisibility() {
+    LIMB_NAMES.forEach(name => {
+        const ref = getLimbRef(name);
+        if (ref) {
+            ref.visible = limbConditions[name] !== 'missing';
         }
-        rigidBodies[name].setActivationState(4); // DISABLE_DEACTIVATION - limbs stay active
-        rigidBodies[name].setSleepingThresholds(0, 0); // Never sleep
+    });
+}
 
-        // Basic friction properties (conservative - only known working methods)
-        try {
-            rigidBodies[name].setFriction(0.6);
-            rigidBodies[name].setRestitution(0.05); // Wood barely bounces
-        } catch (e) {
-            console.warn(`Could not set physics properties for ${name}:`, e.message);
-        }
+window.setLimbCondition = setLimbCondition;
+window.setBrokenToy = setBrokenToy;
+window.setSpinTarget = setSpinTarget;
+window.getSpinTarget = getSpinTarget;
 
-        // Add limb to physics world with proper collision groups
-        // Debug: Log collision shape type
-        const shapeType = shape.constructor.name;
-        // console.log(`  🎯 Added ${shapeType} collider for limb "${name}"`);
+// FLOOR - the static ground plane is a core body in the simulation; this is what you see of it
+function createFloorMesh() {
+    const { y, size, color } = FLOOR_SETTINGS;
 
-        physicsWorld.addRigidBody(rigidBodies[name], GROUP_LIMB, GROUP_LIMB | GROUP_TORSO_PART); // Limbs collide with other limbs and torso parts
-    });
+    // Visual: a pale floor close to the white backdrop that catches the toy's shadow
+    if (!floorMesh) {
+        floorMesh = new THREE.Mesh(
+            new THREE.CircleGeometry(size / 2, 64),
+            new THREE.MeshStandardMaterial({ color, roughness: 0.9, metalness: 0 })
+        );
+        floorMesh.rotation.x = -Math.PI / 2;
+        floorMesh.position.y = y;
+        floorMesh.receiveShadow = true;
+        scene.add(floorMesh);
+    }
+}
 
-    // FINAL SAFETY CHECK: Ensure limbs are dynamic, not kinematic
-    ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'].forEach(name => {
-        if (rigidBodies[name]) {
-            const flags = rigidBodies[name].getCollisionFlags();
-            if (flags & 2) { // CF_KINEMATIC_OBJECT
-                console.error(`❌ CRITICAL: ${name} is still kinematic! Physics will not work.`);
-                throw new Error(`${name} must be dynamic for articulated physics`);
-            }
-            // console.log(`✅ ${name} confirmed dynamic (flags: ${flags})`);
-        }
-    });
+// BREAKABLE JOINTS - the simulation tears off limbs whose joints are strained too far; these tear one
+// off on purpose or tie torn-off limbs back on at their Constraint_* pivot
+function detachLimb(name) {
+    dispatchInput({ type: 'detachLimb', limb: name });
+}
 
-    // console.log('📊 Rigid bodies summary:', {
-    //     anchor: !!rigidBodies.anchor,
-    //     torso: !!rigidBodies.torso,
-    //     leftArm: !!rigidBodies.leftArm,
-    //     rightArm: !!rigidBodies.rightArm,
-    //     leftLeg: !!rigidBodies.leftLeg,
-    //     rightLeg: !!rigidBodies.rightLeg
-    // });
+function retieLimb(name) {
+    dispatchInput({ type: 'retieLimb', limb: name });
 }
 
-// Create hinge constraint with motor between anchor and torso
-function createConstraints() {
-    // console.log('🚀 createConstraints() called');
+function retieAllLimbs() {
+    dispatchInput({ type: 'retieAll' });
+}
 
-    // FAIL-FAST VALIDATION: Throw errors instead of silent returns
-    if (!rigidBodies.torso) {
-        throw new Error('❌ CRITICAL: No torso body found - physics graph incomplete!');
+// Show the re-tie button only while something is torn off
+function updateRetieButton() {
+    const el = document.getElementById('retieButton');
+    if (el) {
+        el.style.display = detachedLimbs.size > 0 ? 'inline-block' : 'none';
     }
+}
 
-    if (!AmmoLib) {
-        throw new Error('❌ CRITICAL: Cannot create constraints - AmmoLib not loaded!');
-    }
+window.detachLimb = detachLimb;
+window.retieLimb = retieLimb;
+window.retieAllLimbs = retieAllLimbs;
 
-    if (!physicsWorld) {
-        throw new Error('❌ CRITICAL: Cannot create constraints - physicsWorld not initialized!');
-    }
+// LET GO / PICK UP - the simulation drops the toy off its stick (or string) onto the floor and puts it back on
+// velocity ({x, y, z} in world units/s) throws it
+function letGo(velocity) {
+    dispatchInput(velocity ? { type: 'letGo', velocity } : { type: 'letGo' });
+}
+
+function pickUp() {
+    dispatchInput({ type: 'pickUp' });
+}
+
+function isHeld() {
+    return !physicsStatus || physicsStatus.held;
+}
 
-    if (!rigidBodies.anchor) {
-        throw new Error('❌ CRITICAL: Cannot create constraints - anchor body missing!');
+function toggleHeld() {
+    if (isHeld()) {
+        letGo();
+    } else {
+        pickUp();
     }
+}
 
-    if (!jointEmptyRef) {
-        throw new Error('❌ CRITICAL: Cannot create constraints - joint Empty not found!');
+// Let go / pick up button label follows the toy
+function updateHoldButton() {
+    const el = document.getElementById('holdButton');
+    if (el) {
+        el.textContent = isHeld() ? '🤲 Let Go' : '✋ Pick Up';
     }
+}
 
-    if (!bodyMainRef) {
-        throw new Error('❌ CRITICAL: Cannot create constraints - bodyMainRef not found!');
+// THROW - in throw mode a press takes the toy (off the floor if it is lying there) and the release throws
+// it with the pointer's velocity, measured over the last moments of the drag in the plane of the screen
+function beginThrow(event) {
+    throwSamples = [{ x: event.clientX, y: event.clientY, time: performance.now() }];
+    if (!isHeld()) {
+        pickUp();
     }
+}
 
-    // Validate all limb rigid bodies exist
-    ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'].forEach(name => {
-        if (!rigidBodies[name]) {
-            throw new Error(`❌ CRITICAL: ${name} rigid body missing - articulated physics impossible!`);
-        }
-    });
+function moveThrow(event) {
+    if (!throwSamples) return;
 
-    // console.log('📊 Available rigid bodies:', Object.keys(rigidBodies).filter(key => rigidBodies[key]));
-    // console.log('🔗 Creating motor-based hinge constraint...');
+    const now = performance.now();
+    throwSamples.push({ x: event.clientX, y: event.clientY, time: now });
+    while (throwSamples.length > 2 && now - throwSamples[0].time > THROW_SETTINGS.sampleTime * 1000) {
+        throwSamples.shift();
+    }
+}
 
-    // STEP 5: ANCHOR ↔ TORSO HINGE - ENABLED TO KEEP TORSO IN FRAME WITH GRAVITY
-    // Compute jointWorld from Blender Empty
-    const jointWorld = new THREE.Vector3();
-    jointEmptyRef.getWorldPosition(jointWorld);
+function releaseThrow() {
+    if (!throwSamples) return;
 
-    // Use world Y-axis (0,1,0) - GLB export should align torso correctly
-    const trueYAxis = new AmmoLib.btVector3(0, 1, 0);
+    const velocity = getThrowVelocity(throwSamples);
+    throwSamples = null;
+    letGo(velocity);
+}
 
-    // For clean center rotation, use (0,0,0) as pivot in torso local space
-    // This makes the torso rotate around its center of mass
-    const pivotB = new AmmoLib.btVector3(0, 0, 0);
+// Pointer velocity (pixels/s) → world velocity at the toy's distance from the camera
+function getThrowVelocity(samples) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+    if (samples.length < 2 || seconds <= 0) return { x: 0, y: 0, z: 0 };
 
-        // console.log(`🔄 Using center pivot for stable rotation around torso center of mass`);
+    const scale = getWorldUnitsPerPixel() * THROW_SETTINGS.strength / seconds;
 
-    // Create hinge constraint between anchor and torso - rotates around center
-    constraints.spinHinge = new AmmoLib.btHingeConstraint(
-        rigidBodies.anchor,
-        rigidBodies.torso,
-        new AmmoLib.btVector3(0, 0, 0),     // pivotA: anchor origin
-        pivotB,                             // pivotB: (0,0,0) - torso center
-        trueYAxis,                          // axisA: Y-axis for rotation
-        trueYAxis,                          // axisB: Y-axis for rotation
-        true                                // useReferenceFrameA
-    );
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+    const velocity = right.multiplyScalar((last.x - first.x) * scale).addScaledVector(up, -(last.y - first.y) * scale);
+    return { x: velocity.x, y: velocity.y, z: velocity.z };
+}
 
-    // Set wide angle limits to allow free Y-axis rotation
-    constraints.spinHinge.setLimit(-Math.PI * 2, Math.PI * 2, 0.1, 0.1, 1.0);
+// World units per screen pixel at the toy's distance from the camera
+function getWorldUnitsPerPixel() {
+    const target = bodyMainRef ? bodyMainRef.position : new THREE.Vector3();
+    const distance = camera.position.distanceTo(target);
+    return 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) / window.innerHeight;
+}
 
-    // Enable motor for free spinning (but don't start it yet)
-    constraints.spinHinge.enableAngularMotor(false, 0, 0);
+window.letGo = letGo;
+window.pickUp = pickUp;
+window.toggleHeld = toggleHeld;
+
+// PULL STRING - drive the limbs like a real jumping jack instead of spinning it
+// The rope is simulated with the toy (see createPullString in toy-simulation.js): ties on the limbs
+// meet at a knot below the torso and the pull string hangs from the knot. The page draws it from the
+// simulation's string rig and turns drags into pull inputs.
+function setStringRig(rig) {
+    if (!rig) return;
+
+    const toVector = point => new THREE.Vector3(point.x, point.y, point.z);
+    const ties = {};
+    Object.keys(rig.ties).forEach(name => {
+        ties[name] = toVector(rig.ties[name]);
+    });
+    stringRig = { ties, knot: toVector(rig.knot) };
+
+    // Visual: four ties to the knot plus the pull string, and a bead handle
+    if (!stringLines) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Array((LIMB_NAMES.length + 1) * 2 * 3).fill(0), 3));
+        stringLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: STRING_SETTINGS.color }));
+        stringLines.frustumCulled = false;
+        stringHandle = new THREE.Mesh(
+            new THREE.SphereGeometry(STRING_SETTINGS.handleRadius, 16, 12),
+            new THREE.MeshStandardMaterial({ color: STRING_SETTINGS.color, roughness: 0.8 })
+        );
+        stringHandle.castShadow = true;
+        scene.add(stringLines);
+        scene.add(stringHandle);
+    }
+    stringLines.visible = interactionMode === 'string';
+    stringHandle.visible = interactionMode === 'string';
+}
 
-    // Add constraint to physics world (disable collision between connected bodies)
-    physicsWorld.addConstraint(constraints.spinHinge, true);
+// Draw the rope - call after syncing
+function updateStringVisual() {
+    if (!stringLines || !stringRig || !physicsReady || !bodyMainRef) return;
 
-        // console.log('✅ Created anchor ↔ torso hinge constraint (free Y-axis rotation)');
+    drawPullString({ lines: stringLines, handle: stringHandle }, {
+        visible: interactionMode === 'string',
+        torso: bodyMainRef,
+        limbs: limbRefs,
+        attached: getAttachedLimbNames(),
+        pullAmount: stringPullAmount
+    });
+}
 
-    // Create limb constraints using constraint objects as joint positions
-    const limbConstraints = [
-        { name: 'leftArm', ref: leftArmRef, body: rigidBodies.leftArm, joint: leftHandConstraint },
-        { name: 'rightArm', ref: rightArmRef, body: rigidBodies.rightArm, joint: rightHandConstraint },
-        { name: 'leftLeg', ref: leftLegRef, body: rigidBodies.leftLeg, joint: leftLegConstraint },
-        { name: 'rightLeg', ref: rightLegRef, body: rigidBodies.rightLeg, joint: rightLegConstraint }
-    ];
+// One toy's ties, knot and pull string (extra toys have their own lines and handle, see MORE TOYS)
+function drawPullString(meshes, { visible, torso, limbs, attached, pullAmount }) {
+    meshes.lines.visible = visible;
+    meshes.handle.visible = visible;
+    if (!visible) return;
+
+    // Drawn from the interpolated Three.js poses so the rope stays on the limbs between steps
+    const objectPointToWorld = (object, localPoint) => localPoint.clone().applyQuaternion(object.quaternion).add(object.position);
+    const knot = objectPointToWorld(torso, stringRig.knot);
+    knot.y -= pullAmount;
+    const handle = knot.clone();
+    handle.y -= STRING_SETTINGS.handleLength;
+
+    const positions = meshes.lines.geometry.attributes.position;
+    let index = 0;
+    const addSegment = (a, b) => {
+        positions.setXYZ(index++, a.x, a.y, a.z);
+        positions.setXYZ(index++, b.x, b.y, b.z);
+    };
+    LIMB_NAMES.forEach(name => {
+        // Unused segments collapse onto the knot
+        const tie = attached.includes(name) && stringRig.ties[name] ? objectPointToWorld(limbs[name], stringRig.ties[name]) : knot;
+        addSegment(tie, knot);
+    });
+    addSegment(knot, handle);
+    positions.needsUpdate = true;
 
-    // console.log('🔧 Creating limb constraints...');
+    meshes.handle.position.copy(handle);
+}
 
+// The drag is tracked on the page; the pull itself is an input applied at the next step
+function beginStringPull(event) {
+    stringDragStartY = event.clientY;
+    dispatchInput({ type: 'pullStart' });
+}
 
-    limbConstraints.forEach(({ name, ref, body, joint }) => {
-        if (!body) {
-            throw new Error(`❌ CRITICAL: ${name} rigid body missing - cannot create hinge constraint!`);
-        }
-        if (!ref) {
-            throw new Error(`❌ CRITICAL: ${name} Three.js reference missing - cannot create hinge constraint!`);
-        }
+function moveStringPull(event) {
+    if (stringDragStartY === null) return;
+    const dragDown = (event.clientY - stringDragStartY) * STRING_SETTINGS.pullPerPixel;
+    dispatchInput({ type: 'pullTo', amount: Math.max(0, Math.min(STRING_SETTINGS.maxPull, dragDown)) });
+}
 
-        // console.log(`🔧 Creating constraint for ${name}...`);
+// Letting go drops the string - the limbs fall back under gravity
+function releaseStringPull() {
+    if (stringDragStartY === null) return;
+    stringDragStartY = null;
+    dispatchInput({ type: 'pullEnd' });
+}
 
-        // Get joint position from constraint object (or fallback to limb position)
-        const jointWorld = new THREE.Vector3();
-        if (joint) {
-            joint.getWorldPosition(jointWorld);
-            // console.log(`🎯 Using constraint joint for ${name}: (${jointWorld.x.toFixed(2)}, ${jointWorld.y.toFixed(2)}, ${jointWorld.z.toFixed(2)})`);
-        } else {
-            // Fallback: use limb origin as joint
-            ref.getWorldPosition(jointWorld);
-            // console.log(`⚠️ Using fallback joint for ${name}: (${jointWorld.x.toFixed(2)}, ${jointWorld.y.toFixed(2)}, ${jointWorld.z.toFixed(2)})`);
+// HANGING - in hang mode the toy hangs by its head from a string (see createHangingString in physics-core.js)
+// and a press drags the hanger at the top; the string is drawn from its segment bodies as they are streamed
+function createHangingStringMeshes() {
+    if (hangingStringMeshes) return;
+
+    const { length, segments, radius, hangerRadius, color } = HANGING_STRING_SETTINGS;
+    const material = new THREE.MeshStandardMaterial({ color, roughness: 0.8 });
+    const segmentGeometry = new THREE.CylinderGeometry(radius, radius, length / segments, 6);
+
+    hangingStringMeshes = { hanger: new THREE.Mesh(new THREE.SphereGeometry(hangerRadius, 16, 12), material) };
+    HANGING_STRING_SEGMENTS.forEach(name => {
+        hangingStringMeshes[name] = new THREE.Mesh(segmentGeometry, material);
+    });
+    Object.values(hangingStringMeshes).forEach(mesh => {
+        mesh.castShadow = true;
+        mesh.visible = false;
+        scene.add(mesh);
+    });
+}
+
+// Show the string while the toy hangs on it, blended like the toy - call after syncing
+// (an extra toy's meshes and poses are passed in, see MORE TOYS)
+function updateHangingStringVisual(alpha, meshes = hangingStringMeshes, poses = { previous: previousBodyStates, current: currentBodyStates }) {
+    if (!meshes) return;
+
+    Object.keys(meshes).forEach(name => {
+        const mesh = meshes[name];
+        mesh.visible = !!poses.current[name];
+        applyInterpolatedPose(mesh, name, alpha, poses);
+    });
+}
+
+// The drag is tracked on the page and sent as the hanger's offset since the press; a toy lying on the
+// floor is hung back up first
+function beginHangerDrag(event) {
+    hangerDragStart = { x: event.clientX, y: event.clientY };
+    if (!isHeld()) {
+        pickUp();
+    }
+    dispatchInput({ type: 'hangerGrab' });
+}
+
+// Across the screen → in the toy's plane
+function moveHangerDrag(event) {
+    if (!hangerDragStart) return;
+
+    const unitsPerPixel = getWorldUnitsPerPixel();
+    dispatchInput({
+        type: 'hangerDrag',
+        offset: {
+            x: (event.clientX - hangerDragStart.x) * unitsPerPixel,
+            y: -(event.clientY - hangerDragStart.y) * unitsPerPixel,
+            z: 0
         }
+    });
+}
 
-        // Get torso physics body world position
-        const torsoTransform = new AmmoLib.btTransform();
-        rigidBodies.torso.getMotionState().getWorldTransform(torsoTransform);
-        const torsoOrigin = torsoTransform.getOrigin();
-
-        // Get limb physics body world position
-        const limbTransform = new AmmoLib.btTransform();
-        body.getMotionState().getWorldTransform(limbTransform);
-        const limbOrigin = limbTransform.getOrigin();
-
-        // Compute pivots using hinge pattern:
-        // pivotA = jointWorld − torsoWorldOrigin
-        // pivotB = jointWorld − limbWorldOrigin
-        const pivotA = new AmmoLib.btVector3(
-            jointWorld.x - torsoOrigin.x(),
-            jointWorld.y - torsoOrigin.y(),
-            jointWorld.z - torsoOrigin.z()
-        );
+function releaseHangerDrag() {
+    if (!hangerDragStart) return;
+    hangerDragStart = null;
+    dispatchInput({ type: 'hangerRelease' });
+}
 
-        const pivotB = new AmmoLib.btVector3(
-            jointWorld.x - limbOrigin.x(),
-            jointWorld.y - limbOrigin.y(),
-            jointWorld.z - limbOrigin.z()
-        );
+// SHAKE - in shake mode a press takes the stick and the toy is shaken and swung on it; the pointer is cast
+// onto an upright work plane through the toy, and the drag across that plane carries the stick (Shift+drag
+// tilts it instead). The simulation moves the kinematic anchor after it, so the limbs follow through inertia
+function getWorkPlanePoint(event, plane) {
+    setPointerRay(event);
+    return raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+}
 
-        // console.log(`📍 ${name} joint at: (${jointWorld.x.toFixed(2)}, ${jointWorld.y.toFixed(2)}, ${jointWorld.z.toFixed(2)})`);
+// Cast the pointer from the camera. While comparing each half of the screen is a view of its own; the
+// twin's camera is the main one moved along with the twin, so a press on its half is cast as the same
+// press on the main toy (inputs go to both)
+function setPointerRay(event) {
+    const width = isComparing() ? window.innerWidth / 2 : window.innerWidth;
+    const x = event.clientX >= width ? event.clientX - width : event.clientX;
+    const pointer = new THREE.Vector2((x / width) * 2 - 1, -(event.clientY / window.innerHeight) * 2 + 1);
+    raycaster.setFromCamera(pointer, camera);
+}
 
-        try {
-            // Create btHingeConstraint(torso, limb, pivotA, pivotB, axis, axis, true)
-            // For jumping jack limbs: use Z-axis rotation to constrain movement to X-Y plane
-            // This prevents limbs from moving in local Z direction (depth)
-        const hinge = new AmmoLib.btHingeConstraint(
-            rigidBodies.torso,
-            body,
-            pivotA,
-            pivotB,
-                new AmmoLib.btVector3(0, 0, 1),  // axisA: Z-axis - limbs rotate in X-Y plane only
-            new AmmoLib.btVector3(0, 0, 1),  // axisB: Z-axis
-            true
-        );
+// A toy lying on the floor is put back on its stick first
+function beginStickDrag(event) {
+    const center = bodyMainRef ? bodyMainRef.getWorldPosition(new THREE.Vector3()) : new THREE.Vector3();
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(new THREE.Vector3(0, 0, 1), center);
+    const point = getWorkPlanePoint(event, plane);
+    if (!point) return;
 
-            // Set angle limits based on physics mode
-            if (window.physicsMode === 'elastic') {
-                // Elastic mode: more flexible, drifty behavior
-                hinge.setLimit(-Math.PI * 0.9, Math.PI * 0.9, 0.02, 0.02, 0.6); // ~162 degrees, very soft
-            } else {
-                // Hinge mode: constrained, stable behavior (default)
-                hinge.setLimit(-Math.PI * 0.75, Math.PI * 0.75, 0.05, 0.05, 0.8); // ~135 degrees, balanced
-            }
+    stickDrag = { plane, last: point, offset: { x: 0, y: 0, z: 0 }, tilt: { x: 0, z: 0 } };
+    if (!isHeld()) {
+        pickUp();
+    }
+    dispatchInput({ type: 'stickGrab' });
+}
 
-        // Add to physics world (disable collisions between connected bodies)
-            physicsWorld.addConstraint(hinge, true);
+// Sent as the offset and tilt since the press
+function moveStickDrag(event) {
+    if (!stickDrag) return;
 
-        // Store constraint
-        constraints[name] = hinge;
+    const point = getWorkPlanePoint(event, stickDrag.plane);
+    if (!point) return;
 
-            // console.log(`✅ Successfully created and added hinge constraint for ${name}`);
+    const dx = point.x - stickDrag.last.x;
+    const dy = point.y - stickDrag.last.y;
+    stickDrag.last = point;
+    if (event.shiftKey) {
+        // Sideways tips the stick left and right, up and down tips it towards and away from you
+        stickDrag.tilt.z -= dx * STICK_DRAG_SETTINGS.tiltPerUnit;
+        stickDrag.tilt.x -= dy * STICK_DRAG_SETTINGS.tiltPerUnit;
+    } else {
+        stickDrag.offset.x += dx;
+        stickDrag.offset.y += dy;
+    }
 
-        } catch (error) {
-            console.error(`❌ Failed to create hinge constraint for ${name}:`, error);
+    dispatchInput({ type: 'stickMove', offset: { ...stickDrag.offset }, tilt: { ...stickDrag.tilt } });
+}
+
+// Letting go puts the stick back where it stood
+function releaseStickDrag() {
+    if (!stickDrag) return;
+    stickDrag = null;
+    dispatchInput({ type: 'stickRelease' });
+}
+
+// GRAB - in spin mode a press on a limb takes hold of it instead of spinning, and Shift+press on the body takes
+// the whole toy by it. The point grabbed is dragged across a plane facing the camera; the simulation pulls
+// the part after it against its joints, and letting go hands it back to the physics
+function getPartUnderPointer(event) {
+    setPointerRay(event);
+    const hits = raycaster.intersectObjects(Array.from(physicsMeshMap.keys()), true);
+
+    for (const hit of hits) {
+        let object = hit.object;
+        while (object && !physicsMeshMap.has(object)) {
+            object = object.parent;
         }
-    });
+        const part = object && physicsMeshMap.get(object);
+        const pose = part && currentBodyStates[part];
+        if (!pose) continue; // Missing limbs are out of the world and hidden
 
-    // ENSURE CONSTRAINTS ARE ALWAYS CREATED - No silent failures
-    if (Object.keys(constraints).length === 0) {
-        throw new Error("❌ CRITICAL: NO CONSTRAINTS CREATED — PHYSICS GRAPH IS BROKEN!");
+        // The point in the part's own frame - the same point on either toy when comparing
+        const point = hit.point.clone().sub(pose.position).applyQuaternion(pose.quaternion.clone().invert());
+        return { part, point, hit: hit.point };
     }
+    return null;
+}
 
-    // console.log(`✅ CONSTRAINTS CREATED: ${Object.keys(constraints).length} total`);
-    // console.log("CONSTRAINT GRAPH:", Object.keys(constraints));
+// Returns false when the press is not on a part it may take (the press spins instead)
+function beginPartGrab(event) {
+    const target = getPartUnderPointer(event);
+    if (!target || (target.part === 'torso' && !event.shiftKey)) return false;
 
-    // STEP 6: CREATE PIVOT COLLIDERS - Small bodies at joint locations to prevent detachment
-    {
-        // console.log('🔩 Creating pivot colliders to prevent limb detachment');
+    const facing = camera.getWorldDirection(new THREE.Vector3()).negate();
+    partGrab = { plane: new THREE.Plane().setFromNormalAndCoplanarPoint(facing, target.hit), start: target.hit };
+    const { x, y, z } = target.point;
+    dispatchInput({ type: 'partGrab', part: target.part, point: { x, y, z } });
+    return true;
+}
 
-        const pivotColliders = [
-            { name: 'leftHandPivot', constraint: leftHandConstraint, limb: 'leftArm' },
-            { name: 'rightHandPivot', constraint: rightHandConstraint, limb: 'rightArm' },
-            { name: 'leftLegPivot', constraint: leftLegConstraint, limb: 'leftLeg' },
-            { name: 'rightLegPivot', constraint: rightLegConstraint, limb: 'rightLeg' }
-        ];
+// Sent as the offset since the press
+function movePartGrab(event) {
+    if (!partGrab) return;
 
-        rigidBodies.pivotColliders = []; // Store pivot colliders for position updates
+    const point = getWorkPlanePoint(event, partGrab.plane);
+    if (!point) return;
 
-        pivotColliders.forEach(pivot => {
-            const { name, constraint, limb } = pivot;
+    const { x, y, z } = point.sub(partGrab.start);
+    dispatchInput({ type: 'partDrag', offset: { x, y, z } });
+}
 
-            // Get joint position
-            let jointPos = new THREE.Vector3();
-            if (constraint) {
-                constraint.getWorldPosition(jointPos);
-            } else if (rigidBodies[limb]) {
-                // Fallback: use limb position
-                const limbTransform = new AmmoLib.btTransform();
-                rigidBodies[limb].getMotionState().getWorldTransform(limbTransform);
-                const limbOrigin = limbTransform.getOrigin();
-                jointPos.set(limbOrigin.x(), limbOrigin.y(), limbOrigin.z());
-            } else {
-                console.warn(`⚠️ Skipping pivot collider for ${name} - no position available`);
-                return;
-            }
+function releasePartGrab() {
+    if (!partGrab) return;
+    partGrab = null;
+    dispatchInput({ type: 'partRelease' });
+}
 
-            // Create very small sphere collider at pivot point
-            const radius = 0.03; // Very small - just enough to prevent detachment
-            const shape = new AmmoLib.btSphereShape(radius);
+// Switch between spinning the toy ('spin'), pulling its string ('string'), throwing it ('throw'),
+// hanging it from a string ('hang') and shaking it on its stick ('shake')
+function setInteractionMode(mode) {
+    if (!INTERACTION_MODES.includes(mode)) {
+        console.warn(`⚠️ Unknown interaction mode: ${mode}`);
+        return;
+    }
+
+    dispatchInput({ type: 'setInteractionMode', mode });
+}
 
-            // Static body (mass = 0) - kinematic collision-only
-            const localInertia = new AmmoLib.btVector3(0, 0, 0);
+window.setInteractionMode = setInteractionMode;
 
-            // Position at joint location
-            const transform = new AmmoLib.btTransform();
-            transform.setIdentity();
-            transform.setOrigin(new AmmoLib.btVector3(jointPos.x, jointPos.y, jointPos.z));
-            transform.setRotation(new AmmoLib.btQuaternion(0, 0, 0, 1));
+// ELASTIC FATIGUE - joints wear with play and partly recover at rest (see FATIGUE_SETTINGS in toy-simulation.js)
+// The simulation sends a per-limb snapshot every few steps; the page keeps the latest for saving and reports
+let jointFatigue = {};
 
-            const motionState = new AmmoLib.btDefaultMotionState(transform);
-            const rbInfo = new AmmoLib.btRigidBodyConstructionInfo(0, motionState, shape, localInertia);
+// Snapshot of per-limb fatigue (for debugging in the console)
+function getFatigueReport() {
+    const report = {};
+    LIMB_NAMES.forEach(name => {
+        const state = Object.assign(ToySimulation.createJointFatigueState(), jointFatigue[name]);
+        report[name] = Object.assign({ aging: ToySimulation.getAging(state) }, state);
+    });
+    return report;
+}
 
-            const pivotBody = new AmmoLib.btRigidBody(rbInfo);
-            pivotBody.setCollisionFlags(pivotBody.getCollisionFlags() | 1); // CF_STATIC_OBJECT
-            pivotBody.setActivationState(4); // DISABLE_DEACTIVATION
+window.getFatigueReport = getFatigueReport;
 
-            // Add to physics world - collides only with limbs (not torso)
-            physicsWorld.addRigidBody(pivotBody, GROUP_TORSO_PART, GROUP_LIMB);
+// Tunneling diagnostics: limb contacts found too deep after a step, counted per limb since the world was built
+// (CCD is set up for every dynamic body in physics-core.js - see CCD_SETTINGS)
+function getTunnelingReport() {
+    return physicsStatus ? physicsStatus.tunneling : null;
+}
 
-            // Store for position updates
-            rigidBodies.pivotColliders.push({
-                body: pivotBody,
-                name: name,
-                initialPosition: jointPos.clone(),
-                shape: shape,
-                shapeType: 'btSphereShape'
-            });
+window.getTunnelingReport = getTunnelingReport;
 
-            // console.log(`  🔩 Added pivot collider "${name}" at (${jointPos.x.toFixed(3)}, ${jointPos.y.toFixed(3)}, ${jointPos.z.toFixed(3)})`);
-        });
+// TOY MEMORY - wear, revolutions and play history survive page reloads (localStorage)
+const TOY_MEMORY_KEY = 'elasticMemory.toy';
+const TOY_MEMORY_VERSION = 1;
+const TOY_MEMORY_SETTINGS = {
+    saveInterval: 5,               // Seconds between saves while playing
+    maxSessions: 50,               // Session history entries kept
+    offlineFatigueHalfLife: 12     // Hours for half the recoverable fatigue to fade between visits
+};
 
-        // console.log(`✅ Created ${rigidBodies.pivotColliders.length} pivot colliders`);
-    }
+let toyMemory = createToyMemory();
+let currentSession = createSessionRecord();
+let toyMemorySaveTimer = 0;
+
+function createToyMemory() {
+    return {
+        version: TOY_MEMORY_VERSION,
+        savedAt: null,
+        totalRevolutions: 0,
+        totalPlayTime: 0,          // Seconds the toy spent in motion
+        sessions: []
+    };
 }
 
-// Reset toy to initial state
-function resetToy() {
-    // console.log('🔄 Resetting toy to initial state...');
-
-    // Reset torso
-    if (rigidBodies.torso && initialStates.torso) {
-        const { position, quaternion, transform } = initialStates.torso;
-
-        // Reset physics body
-        rigidBodies.torso.setWorldTransform(transform);
-        const zeroVec = ammoObjectPool.getVector(0, 0, 0);
-        rigidBodies.torso.setLinearVelocity(zeroVec);
-        rigidBodies.torso.setAngularVelocity(zeroVec);
-        ammoObjectPool.returnVector(zeroVec);
-        rigidBodies.torso.clearForces();
-        rigidBodies.torso.setActivationState(1); // ACTIVE_TAG to wake up
-
-        // Reset Three.js mesh
-        if (bodyMainRef) {
-            bodyMainRef.position.copy(position);
-            bodyMainRef.quaternion.copy(quaternion);
-        }
+function createSessionRecord() {
+    return {
+        startedAt: new Date().toISOString(),
+        duration: 0,
+        revolutions: 0,
+        peakSpinSpeed: 0
+    };
+}
+
+// Restore wear state - must run before startPhysics() so the joints are built with it
+function loadToyMemory() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(TOY_MEMORY_KEY));
+    } catch (e) {
+        console.warn('⚠️ Could not read toy memory:', e.message);
     }
 
-    // Reset limbs
-    const limbNames = ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'];
-    limbNames.forEach(name => {
-        if (rigidBodies[name] && initialStates[name]) {
-            const { position, quaternion, transform } = initialStates[name];
-            const ref = name === 'leftArm' ? leftArmRef :
-                       name === 'rightArm' ? rightArmRef :
-                       name === 'leftLeg' ? leftLegRef : rightLegRef;
-
-            // Reset physics body
-            rigidBodies[name].setWorldTransform(transform);
-            const zeroVec = ammoObjectPool.getVector(0, 0, 0);
-            rigidBodies[name].setLinearVelocity(zeroVec);
-            rigidBodies[name].setAngularVelocity(zeroVec);
-            ammoObjectPool.returnVector(zeroVec);
-            rigidBodies[name].clearForces();
-            rigidBodies[name].setActivationState(1); // ACTIVE_TAG to wake up
-
-            // Reset Three.js mesh
-            if (ref) {
-                ref.position.copy(position);
-                ref.quaternion.copy(quaternion);
-            }
-        }
-    });
+    if (!saved || saved.version !== TOY_MEMORY_VERSION) {
+        return;
+    }
 
-    // Reset torso mesh colliders (they follow their meshes, so they'll be updated in next sync)
-    // Reset pivot colliders (they follow joint positions, so they'll be updated in next sync)
+    toyMemory = Object.assign(createToyMemory(), saved, { limbs: undefined });
 
-    // Reset mouse interaction state
-    mouseButtonDown = false;
-    mouseMoving = false;
-    currentRotationDirection = 1;
+    // Time away lets the elastic relax a little - wear stays
+    const hoursAway = saved.savedAt ? (Date.now() - Date.parse(saved.savedAt)) / 3600000 : 0;
+    const relaxation = Math.pow(0.5, Math.max(0, hoursAway) / TOY_MEMORY_SETTINGS.offlineFatigueHalfLife);
 
-    // Reset physics corruption detection
-    physicsFailureCount = 0;
-    lastPhysicsFailureTime = 0;
+    LIMB_NAMES.forEach(name => {
+        const limb = saved.limbs && saved.limbs[name];
+        if (!limb) return;
 
-    // Clear object pool to prevent stale references
-    ammoObjectPool.clear();
+        const state = Object.assign(ToySimulation.createJointFatigueState(), limb);
+        state.fatigue *= relaxation;
+        jointFatigue[name] = state;
+    });
 
-    // console.log('✅ Toy reset complete');
+    // console.log(`🧠 Toy memory restored: ${toyMemory.totalRevolutions.toFixed(0)} revolutions`);
 }
 
-// Recreate physics world on corruption
-function recreatePhysicsWorld() {
+function saveToyMemory() {
+    const limbs = {};
+    LIMB_NAMES.forEach(name => {
+        const { spinTime, peakAngularSpeed, peakConstraintError, fatigue, wear } = Object.assign(ToySimulation.createJointFatigueState(), jointFatigue[name]);
+        limbs[name] = { spinTime, peakAngularSpeed, peakConstraintError, fatigue, wear };
+    });
+
+    // Current session goes in front of the stored history
+    const sessions = currentSession.duration > 0 ? [currentSession].concat(toyMemory.sessions) : toyMemory.sessions;
+
+    const record = Object.assign({}, toyMemory, {
+        savedAt: new Date().toISOString(),
+        totalRevolutions: toyMemory.totalRevolutions + currentSession.revolutions,
+        totalPlayTime: toyMemory.totalPlayTime + currentSession.duration,
+        sessions: sessions.slice(0, TOY_MEMORY_SETTINGS.maxSessions),
+        limbs: limbs
+    });
+
     try {
-        console.log('🔄 Recreating physics world...');
-
-        // Store current state
-        const wasSpinning = mouseButtonDown;
-        const currentDirection = currentRotationDirection;
-        const currentMode = window.physicsMode;
-
-        // Clear existing physics objects from world (don't destroy them yet)
-        if (physicsWorld) {
-            // Remove all rigid bodies from world
-            Object.values(rigidBodies).forEach(body => {
-                if (body && typeof physicsWorld.removeRigidBody === 'function') {
-                    try {
-                        physicsWorld.removeRigidBody(body);
-                    } catch (e) {
-                        // Ignore errors during cleanup
-                    }
-                }
-            });
+        localStorage.setItem(TOY_MEMORY_KEY, JSON.stringify(record));
+    } catch (e) {
+        console.warn('⚠️ Could not save toy memory:', e.message);
+    }
+}
 
-            // Remove all constraints from world
-            Object.values(constraints).forEach(constraint => {
-                if (constraint && typeof physicsWorld.removeConstraint === 'function') {
-                    try {
-                        physicsWorld.removeConstraint(constraint);
-                    } catch (e) {
-                        // Ignore errors during cleanup
-                    }
-                }
-            });
-        }
+// Count revolutions and play time, save every few seconds (called for every physics step received)
+function updateToyMemory(delta, spinSpeed, spinning) {
+    if (delta <= 0) return;
 
-        // Clear object pools completely
-        ammoObjectPool.clear();
+    if (spinning || spinSpeed > FATIGUE_SETTINGS.restSpeed) {
+        currentSession.duration += delta;
+        currentSession.revolutions += spinSpeed * delta / (Math.PI * 2);
+        currentSession.peakSpinSpeed = Math.max(currentSession.peakSpinSpeed, spinSpeed);
+    }
 
-        // Recreate physics world
-        initPhysics();
+    toyMemorySaveTimer += delta;
+    if (toyMemorySaveTimer >= TOY_MEMORY_SETTINGS.saveInterval) {
+        toyMemorySaveTimer = 0;
+        saveToyMemory();
+    }
+}
 
-        // Recreate all physics objects
-        createRigidBodies();
-        createConstraints();
+// "Factory new" - forget all wear and history, joints go back to full strength
+// The simulation restores the joints and resets the toy, then tells the page to forget (forgetToyMemory)
+function factoryResetToy() {
+    dispatchInput({ type: 'factoryReset' });
+}
 
-        // Restore state
-        window.physicsMode = currentMode;
-        updateSolverSettings();
+function forgetToyMemory() {
+    try {
+        localStorage.removeItem(TOY_MEMORY_KEY);
+    } catch (e) {
+        console.warn('⚠️ Could not clear toy memory:', e.message);
+    }
 
-        console.log('✅ Physics world recreated successfully');
+    toyMemory = createToyMemory();
+    currentSession = createSessionRecord();
+    jointFatigue = {};
 
-    } catch (error) {
-        console.error('❌ Failed to recreate physics world:', error);
-        // Fallback to simple reset
-        window.resetToy();
+    // console.log('✨ Toy is factory new');
+}
+
+// Lifetime stats including the current session
+function getToyMemoryReport() {
+    return {
+        totalRevolutions: toyMemory.totalRevolutions + currentSession.revolutions,
+        totalPlayTime: toyMemory.totalPlayTime + currentSession.duration,
+        currentSession: Object.assign({}, currentSession),
+        sessions: toyMemory.sessions.slice(),
+        limbs: getFatigueReport()
+    };
+}
+
+window.factoryResetToy = factoryResetToy;
+window.getToyMemoryReport = getToyMemoryReport;
+
+// Save when the page is hidden or closed
+window.addEventListener('pagehide', saveToyMemory);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        saveToyMemory();
     }
+});
+
+// Reset toy to initial state - torn-off limbs come back with the reset
+function resetToy() {
+    dispatchInput({ type: 'reset' });
+}
+
+// Rebuild the physics world (the simulation also does this itself after repeated step failures)
+function recreatePhysicsWorld() {
+    postToPhysics({ type: 'recreateWorld' });
 }
 
 // Make functions globally available
 window.resetToy = resetToy;
 window.recreatePhysicsWorld = recreatePhysicsWorld;
+window.setPhysicsMode = setPhysicsMode;
 
 // Mouse interaction variables
 const mouse = new THREE.Vector2();
+const raycaster = new THREE.Raycaster();
+
+// Limb names and the physics step are shared with the physics core (physics-core.js); limb conditions,
+// fatigue tuning, the recording format and the step buffer layout with the simulation (toy-simulation.js)
+const { LIMB_NAMES, HANGING_STRING_SEGMENTS, PHYSICS_STEP, PHYSICS_SUBSTEPS } = ToyPhysicsCore;
+const {
+    LIMB_CONDITIONS,
+    INTERACTION_MODES,
+    FATIGUE_SETTINGS,
+    RECORDING_VERSION,
+    STREAMED_BODIES,
+    STEP_HEADER,
+    STEP_HEADER_SIZE,
+    BODY_STRIDE
+} = ToySimulation;
+
+// Floor below the toy (world units) - torn-off limbs and the dropped toy land on it; size and color are what you see
+const FLOOR_SETTINGS = { ...ToyPhysicsCore.FLOOR_SETTINGS, size: 60, color: 0xf3efe8 };
+let floorMesh = null;
+
+// Throwing - how much of the drag sets the throw (seconds) and how hard; the simulation caps the speed
+const THROW_SETTINGS = {
+    sampleTime: 0.1,
+    strength: 1.0         // Pointer speed → throw speed
+};
+let throwSamples = null;        // Recent pointer positions while a throw is held; null otherwise
+
+// Torn-off limbs, as the simulation reports them
+let detachedLimbs = new Set();
+
+// Pull-string mode - the simulated string plus how it is drawn and dragged (lengths in world units)
+const STRING_SETTINGS = {
+    ...ToySimulation.STRING_SETTINGS,
+    handleLength: 4.5,    // Pull string from knot to the bead, below the feet
+    pullPerPixel: 0.01,   // Drag distance → pull
+    handleRadius: 0.15,
+    color: 0x8b6b4a
+};
+let interactionMode = 'spin';   // As the simulation has it
+let stringRig = null;
+let stringLines = null;
+let stringHandle = null;
+let stringPullAmount = 0;       // How far the knot is pulled down, from the latest step
+let stringDragStartY = null;    // Page-side drag state; null when not dragging
+
+// Hanging mode - the simulated hanging string plus how it is drawn
+const HANGING_STRING_SETTINGS = {
+    ...ToyPhysicsCore.HANGING_STRING_SETTINGS,
+    radius: 0.02,
+    hangerRadius: 0.12,   // Bead at the top you drag by
+    color: 0x8b6b4a
+};
+let hangingStringMeshes = null; // Hanger and string segment meshes, by body name
+let hangerDragStart = null;     // Page-side drag state; null when not dragging
 
-// Click-to-rotate control
-let currentRotationDirection = 1; // 1 for clockwise, -1 for counterclockwise
+// Shake mode - how far Shift+drag tilts the stick (radians per world unit of drag); the simulation limits it
+const STICK_DRAG_SETTINGS = {
+    tiltPerUnit: 0.35
+};
+let stickDrag = null;           // { plane, last, offset, tilt } while the stick is held; null otherwise
+
+// Grabbing a part with the pointer (spin mode)
+let partGrab = null;            // { plane, start } while a part is held; null otherwise
 
-// Motor control
-const MOTOR_TARGET_SPEED = 8.0; // Speed when clicking
-const MOTOR_MAX_TORQUE = 15.0;  // Torque limit
+// Input recording and replay
+let lastRecording = null;
+let recordingRequests = [];     // stopRecording() promises waiting for the simulation's recording
 
-// Collision groups for proper limb-torso separation
-const GROUP_TORSO = 1;
-const GROUP_LIMB = 2;
-const GROUP_TORSO_PART = 4; // New group for torso collision proxies
+// Broken toy: each limb is 'attached', hanging 'loose' on a ball joint, or 'missing' (as the simulation has it)
+let limbConditions = { leftArm: 'attached', rightArm: 'attached', leftLeg: 'attached', rightLeg: 'attached' };
 
-// Global storage for initial states (used for reset functionality)
+// Rest poses of the simulated bodies (which limbs the toy has)
 let initialStates = {};
 
 // Loading overlay management
@@ -1429,15 +1487,30 @@ function hideLoading() {
 
 // Zoom constants
 const ZOOM_SPEED = 0.1; // How fast to zoom
-const MIN_ZOOM_DISTANCE = 5; // Closest zoom distance
-const MAX_ZOOM_DISTANCE = 25; // Farthest zoom distance
-let currentZoomDistance = 18; // Current distance from camera to target (matches initial position)
+
+// View - the camera stands at the zoom distance from its target, turned around it by yaw and at a height
+// above it; the scroll wheel, two fingers and the right and middle mouse buttons change it (see POINTER GESTURES)
+const VIEW_SETTINGS = {
+    distance: 18,         // As the page starts
+    minDistance: 5,       // Closest zoom distance
+    maxDistance: 25,      // Farthest zoom distance
+    height: 8,
+    minHeight: 1,
+    maxHeight: 16,
+    maxPan: 8             // Farthest the target may move from where it starts (world units)
+};
+const cameraView = { target: new THREE.Vector3(0, 0, 0), yaw: 0, height: VIEW_SETTINGS.height, distance: VIEW_SETTINGS.distance };
 
 // Animation timing
 let lastTime = 0;
 let frameCount = 0;
+let lastStepTime = 0;           // When the latest physics step arrived (performance.now())
 
-// Physics ↔ Three.js sync
+// Body poses after the last two physics steps - rendering blends between them
+let previousBodyStates = {};
+let currentBodyStates = {};
+
+// Physics ↔ Three.js sync - meshes to the simulation's body names
 let physicsMeshMap = new Map();
 
 // Toy references are initialized when GLTF loads
@@ -1448,477 +1521,887 @@ console.log('🎨 Elastic Memory – becoming a Toymaker');
 console.log('👤 Follow valipokkann on Instagram: https://instagram.com/valiipokkann');
 console.log('🔗 GitHub: https://github.com/innovinitylabs/valipokkann-toymaker');
 
-// Mouse control state
-let mouseButtonDown = false;
+// Mouse control state (page side - the simulation only sees the inputs dispatched from here)
+let spinPressed = false;     // The current press is spinning the toy
 let lastMouseX = 0;
-let currentMouseDelta = 0;
+let currentMouseDelta = 0;   // Radians the last move turned the toy
+
+// Drag to spin - a sideways drag rolls the stick like between your palms, as if the pointer held the toy's
+// surface this far from the stick; the release hands the drag's speed over as momentum
+const SPIN_DRAG_SETTINGS = {
+    threshold: 6,         // Pixels before a press becomes a drag
+    radius: 1.5,          // World units
+    sampleTime: 0.1       // Seconds of drag that set the flick
+};
+let spinDrag = null;          // { startX, angle, dragging, samples } while a spin press is held; null otherwise
 
 function onMouseMove(event) {
     // Convert mouse position to normalized device coordinates (-1 to +1)
     mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
+    if (interactionMode === 'string') {
+        moveStringPull(event);
+        return;
+    }
+    if (interactionMode === 'throw') {
+        moveThrow(event);
+        return;
+    }
+    if (interactionMode === 'hang') {
+        moveHangerDrag(event);
+        return;
+    }
+    if (interactionMode === 'shake') {
+        moveStickDrag(event);
+        return;
+    }
+    if (partGrab) {
+        movePartGrab(event);
+        return;
+    }
+
     // Track mouse delta for rotation control (only when button is down)
-    if (mouseButtonDown) {
+    if (spinPressed) {
         const deltaX = event.clientX - lastMouseX;
-        currentMouseDelta = deltaX * 0.005; // Scale down for reasonable rotation speed
+        currentMouseDelta = deltaX * getWorldUnitsPerPixel() / SPIN_DRAG_SETTINGS.radius;
         lastMouseX = event.clientX;
+        moveSpinDrag(event);
 
         // Debug: Log mouse movement
         // if (Math.abs(deltaX) > 0.1) {
         //     console.log(`🐭 Mouse move: deltaX=${deltaX.toFixed(1)}, currentDelta=${currentMouseDelta.toFixed(3)}`);
         // }
     }
-
-        // Debug: Log mouse delta when button is down
-        // if (mouseButtonDown && Math.abs(currentMouseDelta) > 0.001) {
-        //     if (frameCount % 30 === 0) { // Throttle logging
-        //         console.log(`🐭 Mouse delta: ${currentMouseDelta.toFixed(3)}`);
-        //     }
-        // }
 }
 
 function onMouseDown(event) {
-    mouseButtonDown = true;
-    lastMouseX = event.clientX;
-    // Alternate rotation direction with each click
-    currentRotationDirection *= -1; // Toggle between 1 and -1
-    // console.log(`🖱️ Mouse button down - rotation enabled (${currentRotationDirection > 0 ? 'clockwise' : 'counterclockwise'}) at X:`, event.clientX);
+    // Pull-string mode: the press grabs the string instead of spinning
+    if (interactionMode === 'string') {
+        beginStringPull(event);
+        return;
+    }
+    // Throw mode: the press takes the toy, the release throws it
+    if (interactionMode === 'throw') {
+        beginThrow(event);
+        return;
+    }
+    // Hang mode: the press takes the hanger and moves the hanging toy
+    if (interactionMode === 'hang') {
+        beginHangerDrag(event);
+        return;
+    }
+    // Shake mode: the press takes the stick and moves or tilts it
+    if (interactionMode === 'shake') {
+        beginStickDrag(event);
+        return;
+    }
+    // A press on a limb takes hold of it (Shift takes the body too); anywhere else it spins
+    if (beginPartGrab(event)) {
+        return;
+    }
+
+    beginSpin(event);
+    // console.log('🖱️ Mouse button down - rotation enabled at X:', event.clientX);
 }
 
 function onMouseUp(event) {
-    mouseButtonDown = false;
-    mouseMoving = false;
+    releaseStringPull();
+    releaseThrow();
+    releaseHangerDrag();
+    releaseStickDrag();
+    releasePartGrab();
+    releaseSpin();
     // console.log('🖱️ Mouse button up - rotation disabled');
 }
 
+// SPIN - a press spins the toy one way or the other as before; once it moves sideways it becomes a drag that
+// turns the stick after the pointer, and letting go of a drag flicks the toy on with the pointer's speed
+function beginSpin(event) {
+    spinPressed = true;
+    lastMouseX = event.clientX;
+    spinDrag = { startX: event.clientX, angle: 0, dragging: false, samples: [{ x: event.clientX, time: performance.now() }] };
+    // Each press alternates the rotation direction (resolved when the input is applied)
+    dispatchInput({ type: 'spinStart' });
+}
+
+function moveSpinDrag(event) {
+    if (!spinDrag) return;
+
+    const now = performance.now();
+    spinDrag.samples.push({ x: event.clientX, time: now });
+    while (spinDrag.samples.length > 2 && now - spinDrag.samples[0].time > SPIN_DRAG_SETTINGS.sampleTime * 1000) {
+        spinDrag.samples.shift();
+    }
+
+    spinDrag.angle += currentMouseDelta;
+    if (!spinDrag.dragging && Math.abs(event.clientX - spinDrag.startX) < SPIN_DRAG_SETTINGS.threshold) return;
+    spinDrag.dragging = true;
+    dispatchInput({ type: 'spinDrag', angle: spinDrag.angle });
+}
+
+function releaseSpin() {
+    if (!spinPressed) return;
+
+    const drag = spinDrag;
+    spinPressed = false;
+    spinDrag = null;
+    if (drag && drag.dragging) {
+        dispatchInput({ type: 'spinFlick', speed: getFlickSpeed(drag.samples) });
+    } else {
+        dispatchInput({ type: 'spinStop' });
+    }
+}
+
+// Pointer speed (pixels/s) → spin speed (rad/s); a pointer that stopped before the release gives no flick
+function getFlickSpeed(samples) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+    if (samples.length < 2 || seconds <= 0) return 0;
+    if (performance.now() - last.time > SPIN_DRAG_SETTINGS.sampleTime * 1000) return 0;
+
+    return (last.x - first.x) / seconds * getWorldUnitsPerPixel() / SPIN_DRAG_SETTINGS.radius;
+}
+
 
 function onMouseWheel(event) {
     event.preventDefault();
+    if (!gestures.zoom) return;
 
     // Determine zoom direction (negative deltaY = zoom in, positive = zoom out)
     const zoomDelta = event.deltaY > 0 ? 1 : -1;
 
-    // Update zoom distance with limits
-    currentZoomDistance += zoomDelta * ZOOM_SPEED;
-    currentZoomDistance = Math.max(MIN_ZOOM_DISTANCE, Math.min(MAX_ZOOM_DISTANCE, currentZoomDistance));
+    setZoomDistance(cameraView.distance + zoomDelta * ZOOM_SPEED);
+    updateCameraView();
+}
+
+// Zoom distance within the view's limits
+function setZoomDistance(distance) {
+    cameraView.distance = Math.max(VIEW_SETTINGS.minDistance, Math.min(VIEW_SETTINGS.maxDistance, distance));
+}
 
-    // Update camera position while maintaining look-at target
-    // Camera is positioned relative to (0,0,0) target
-    const cameraHeight = 8; // Keep the same height for good viewing angle
-    camera.position.set(0, cameraHeight, currentZoomDistance);
-    camera.lookAt(0, 0, 0);
+// Camera from the view: at the zoom distance from the target, turned by yaw around it, looking at it
+function updateCameraView() {
+    const { target, yaw, height, distance } = cameraView;
+    camera.position.set(
+        target.x + Math.sin(yaw) * distance,
+        target.y + height,
+        target.z + Math.cos(yaw) * distance
+    );
+    camera.lookAt(target);
+    camera.updateMatrixWorld(); // Pointer rays and pans before the next frame see the new view
 }
 
-// Mouse interaction drives kinematic body directly - no animation timers needed
+// Back to the view the page starts with
+function resetView() {
+    cameraView.target.set(0, 0, 0);
+    cameraView.yaw = 0;
+    cameraView.height = VIEW_SETTINGS.height;
+    cameraView.distance = VIEW_SETTINGS.distance;
+    updateCameraView();
+}
 
-// Animation loop with motor-based Ammo.js physics simulation
-function animate(currentTime = 0) {
-    try {
-        requestAnimationFrame(animate);
+// Move the target across the screen by a drag (pixels) from where it was - the toy follows the drag
+function panView(from, dx, dy) {
+    const unitsPerPixel = getWorldUnitsPerPixel();
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+    const target = from.clone().addScaledVector(right, -dx * unitsPerPixel).addScaledVector(up, dy * unitsPerPixel);
+    if (target.length() > VIEW_SETTINGS.maxPan) {
+        target.setLength(VIEW_SETTINGS.maxPan);
+    }
+    cameraView.target.copy(target);
+}
 
-        // Initialize lastTime on first frame
-        if (lastTime === 0) {
-            lastTime = currentTime;
+window.resetView = resetView;
+
+// PHYSICS CHANNEL - start the simulation and talk to it, in the worker or on the page
+function startPhysics(rig) {
+    const initMessage = {
+        type: 'init',
+        rig,
+        setup: {
+            physicsMode: window.physicsMode,
+            interactionMode,
+            limbConditions: { ...limbConditions },
+            jointFatigue
         }
+    };
 
-        // Calculate delta time for physics simulation
-        const delta = Math.min((currentTime - lastTime) / 1000, 1/60); // Cap at 60 FPS for physics
-        lastTime = currentTime;
+    if (typeof Worker !== 'undefined') {
+        try {
+            physicsWorker = new Worker('physics-worker.js');
+            physicsWorker.onmessage = handlePhysicsMessage;
+            physicsWorker.onerror = (event) => {
+                console.error('❌ Physics worker error:', event.message);
+                if (!physicsReady) {
+                    // The worker never got going - run the simulation on the page instead
+                    event.preventDefault();
+                    physicsWorker.terminate();
+                    physicsWorker = null;
+                    startPagePhysics(initMessage);
+                }
+            };
+            physicsWorker.postMessage(initMessage);
+            return;
+        } catch (error) {
+            console.warn('⚠️ Physics worker unavailable - running physics on the page:', error.message);
+            physicsWorker = null;
+        }
+    }
 
-        // Simple frame counter to verify animation is running
-        frameCount++;
-        if (frameCount % 60 === 0) { // Every ~1 second at 60fps
-            // console.log(`🎬 Animation running - frame ${frameCount}`);
+    startPagePhysics(initMessage);
+}
+
+// Same simulation and messages without a worker - animate() steps it
+function startPagePhysics(initMessage) {
+    if (typeof Ammo === 'undefined') {
+        console.error('❌ CRITICAL: Ammo global not found - script failed to load');
+        console.error('💡 Check that ammo_browser.js is loading correctly');
+        return;
+    }
+
+    Ammo().then((AmmoLib) => {
+        physicsHost = ToySimulation.createHost(AmmoLib, (message) => handlePhysicsMessage({ data: message }));
+        physicsHost.handleMessage(initMessage);
+    }).catch((error) => {
+        console.error('❌ Failed to load Ammo.js:', error);
+    });
+}
+
+function postToPhysics(message, transfer) {
+    if (physicsWorker) {
+        physicsWorker.postMessage(message, transfer || []);
+    } else if (physicsHost) {
+        physicsHost.handleMessage(message);
+    }
+}
+
+function handlePhysicsMessage(event) {
+    const message = event.data;
+
+    // Toy 0 is the one the page is built around; the others come and go (see MORE TOYS)
+    if (message.toy) {
+        handleExtraToyMessage(message);
+        return;
+    }
+
+    switch (message.type) {
+        case 'ready':
+            setRestPoses(message.rest);
+            setStringRig(message.stringRig);
+            createHangingStringMeshes();
+            physicsReady = true;
+            // console.log(`✅ Physics ready (${physicsWorker ? 'worker' : 'page'})`);
+            break;
+        case 'step':
+            receiveStepState(new Float64Array(message.buffer));
+            // Hand the buffer back for a later step
+            postToPhysics({ type: 'returnBuffer', buffer: message.buffer }, [message.buffer]);
+            break;
+        case 'status':
+            applyPhysicsStatus(message.status);
+            break;
+        case 'fatigue':
+            jointFatigue = message.jointFatigue;
+            break;
+        case 'recording':
+            lastRecording = message.recording;
+            recordingRequests.splice(0).forEach(resolve => resolve(lastRecording));
+            break;
+        case 'factoryReset':
+            forgetToyMemory();
+            break;
+        case 'error':
+            console.error('❌ Physics error:', message.message);
+            break;
+        default:
+            console.warn(`⚠️ Unknown physics message: ${message.type}`);
+    }
+}
+
+// Rest poses of the simulated bodies, as THREE objects (tells the page which limbs the toy has)
+function setRestPoses(rest) {
+    initialStates = { joints: {} };
+    ['torso', ...LIMB_NAMES].forEach(name => {
+        if (!rest[name]) return;
+        initialStates[name] = {
+            position: new THREE.Vector3().copy(rest[name].position),
+            quaternion: new THREE.Quaternion().copy(rest[name].quaternion)
+        };
+        if (rest.joints && rest.joints[name]) {
+            initialStates.joints[name] = new THREE.Vector3().copy(rest.joints[name]);
         }
+    });
+}
 
-        // PHYSICS CONTROL - Click-to-rotate control
-        if (AmmoLib && physicsWorld) {
-            // DEBUG: Check constraint count occasionally
-            // if (frameCount % 120 === 0) {
-            //     console.log(`🔗 Active constraints: ${Object.keys(constraints).length}`);
-            // }
+// Modes, limb conditions, torn-off limbs and recorder state as the simulation has them
+function applyPhysicsStatus(status) {
+    if (physicsStatus && status.tunneling.events > physicsStatus.tunneling.events) {
+        console.warn(`🕳️ Limb went through a collider (${status.tunneling.events} so far - getTunnelingReport())`);
+    }
 
-            // Control anchor↔torso hinge motor based on mouse input
-            if (constraints.spinHinge) {
-                // console.log(`🔗 spinHinge constraint exists: ${!!constraints.spinHinge}`);
-                if (mouseButtonDown) {
-                    // Reset to low damping for free spinning when mouse is down
-                    if (rigidBodies.torso) {
-                        rigidBodies.torso.setDamping(0.02, 0.02); // Low damping for spinning
-
-                        // Limit angular velocity during spinning to prevent excessive speed
-                        const angVel = rigidBodies.torso.getAngularVelocity();
-                        const speed = Math.sqrt(angVel.x() * angVel.x() + angVel.y() * angVel.y() + angVel.z() * angVel.z());
-                        const maxSpeed = window.physicsMode === 'elastic' ? 12.0 : 8.0;
-                        if (speed > maxSpeed) { // Mode-dependent max speed
-                            const scale = maxSpeed / speed;
-                            const scaledVel = ammoObjectPool.getVector(
-                                angVel.x() * scale,
-                                angVel.y() * scale,
-                                angVel.z() * scale
-                            );
-                            rigidBodies.torso.setAngularVelocity(scaledVel);
-                            ammoObjectPool.returnVector(scaledVel);
-                        }
-                    }
-
-                    // Apply torque for controlled spinning (mode-dependent)
-                    const baseTorque = window.physicsMode === 'elastic' ? 60.0 : 50.0; // Reduced for stability
-                    const torque = baseTorque * currentRotationDirection;
-                    const torqueVec = ammoObjectPool.getVector(0, torque, 0);
-                    rigidBodies.torso.applyTorque(torqueVec);
-                    ammoObjectPool.returnVector(torqueVec);
-
-                    // Check immediately after calling
-                    // setTimeout(() => {
-                    //     if (rigidBodies.torso) {
-                    //         const angVel = rigidBodies.torso.getAngularVelocity();
-                    //         const speed = Math.sqrt(angVel.x() * angVel.x() + angVel.y() * angVel.y() + angVel.z() * angVel.z());
-                    //         console.log(`🔄 IMMEDIATE CHECK: Angular velocity (${angVel.x().toFixed(3)}, ${angVel.y().toFixed(3)}, ${angVel.z().toFixed(3)}) speed=${speed.toFixed(3)}`);
-                    //     }
-                    // }, 10);
-
-                    // VERIFY ANGULAR VELOCITY - hard failure check
-                    // setTimeout(() => {
-                    //     if (rigidBodies.torso) {
-                    //         const angVel = rigidBodies.torso.getAngularVelocity();
-                    //         const speed = Math.sqrt(angVel.x() * angVel.x() + angVel.y() * angVel.y() + angVel.z() * angVel.z());
-                    //         if (speed < 1.0) {
-                    //             console.error(`❌ HINGE MOTOR FAILURE: Angular velocity too low (${speed.toFixed(3)}), motor not working!`);
-                    //             console.error(`Angular velocity: (${angVel.x().toFixed(3)}, ${angVel.y().toFixed(3)}, ${angVel.z().toFixed(3)})`);
-                    //         } else {
-                    //             console.log(`✅ Hinge motor working: Angular velocity ${speed.toFixed(3)}`);
-                    //         }
-                    //     }
-                    // }, 100); // Check after physics has a chance to respond
-
-                    // DEBUG: Log motor activation
-                    // if (frameCount % 60 === 0) {
-                    //     console.log(`🔄 HINGE MOTOR: enabled, speed=${targetAngularSpeed}, maxImpulse=${maxMotorImpulse}`);
-                    // }
-                } else {
-                    // Disable motor cleanly
-                    constraints.spinHinge.enableAngularMotor(false, 0, 0);
-
-                    // Apply very strong damping to bring toy to rest when mouse is released
-        if (rigidBodies.torso) {
-                        rigidBodies.torso.setDamping(0.95, 0.98); // Very strong damping to stop very quickly
-
-                        // Also limit angular velocity to prevent excessive spin
-                        const angVel = rigidBodies.torso.getAngularVelocity();
-                        const speed = Math.sqrt(angVel.x() * angVel.x() + angVel.y() * angVel.y() + angVel.z() * angVel.z());
-                        const maxDecelSpeed = window.physicsMode === 'elastic' ? 15.0 : 10.0;
-                        if (speed > maxDecelSpeed) { // Mode-dependent max deceleration speed
-                            const scale = maxDecelSpeed / speed;
-                            const scaledVel = ammoObjectPool.getVector(
-                                angVel.x() * scale,
-                                angVel.y() * scale,
-                                angVel.z() * scale
-                            );
-                            rigidBodies.torso.setAngularVelocity(scaledVel);
-                            ammoObjectPool.returnVector(scaledVel);
-                        }
-                    }
-
-                    // Also increase limb damping to help stop rotation
-                    ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'].forEach(name => {
-                        if (rigidBodies[name]) {
-                            rigidBodies[name].setDamping(0.3, 0.4); // Higher damping on limbs when stopping
-                        }
-                    });
-
-                    // DEBUG: Log motor deactivation
-                    // if (frameCount % 60 === 0) {
-                    //     console.log(`🔄 HINGE MOTOR: disabled`);
-                    // }
-                }
-            }
+    physicsStatus = status;
+    window.physicsMode = status.physicsMode;
+    interactionMode = status.interactionMode;
+    limbConditions = { ...status.limbConditions };
+    detachedLimbs = new Set(status.detachedLimbs);
+
+    updateLimbVisibility();
+    updateRetieButton();
+    updateHoldButton();
+    updateRecorderButtons();
+    updateStringVisual();
+    updateCompareLabels();
+    updateSpinTargetControl();
+}
 
-            // Keep limbs active for centrifugal response (damping managed above)
-            ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'].forEach(name => {
-                if (rigidBodies[name]) {
-                    rigidBodies[name].activate(true); // Keep limbs active
+// Body poses from a step buffer, copied out as THREE objects
+function readStepState(state) {
+    const states = {};
+    STREAMED_BODIES.forEach((name, i) => {
+        const offset = STEP_HEADER_SIZE + i * BODY_STRIDE;
+        if (!state[offset + 7]) return; // Not in the world (missing limb)
+        states[name] = {
+            position: new THREE.Vector3(state[offset], state[offset + 1], state[offset + 2]),
+            quaternion: new THREE.Quaternion(state[offset + 3], state[offset + 4], state[offset + 5], state[offset + 6])
+        };
+    });
+    return states;
+}
 
-                    // Reset limb damping when spinning (if not already set above)
-                    if (mouseButtonDown && rigidBodies[name].getLinearDamping() > 0.1) {
-                        rigidBodies[name].setDamping(0.005, 0.01); // Reset to low damping for spinning
-                    }
-                }
-            });
+// Body poses after a physics step - copied out, the buffer goes back to the simulation
+function receiveStepState(state) {
+    const states = readStepState(state);
 
-            // Step real physics simulation
-            try {
-                // Safety check: validate physics world before stepping
-                if (!physicsWorld || !physicsWorld.stepSimulation) {
-                    console.error('❌ Physics world corrupted - cannot step simulation');
-                    return;
-                }
+    // Keep the last two poses for render interpolation
+    // After bodies are teleported (reset, re-tie, rebuild) there is nothing to blend from
+    previousBodyStates = state[STEP_HEADER.teleported] ? states : currentBodyStates;
+    currentBodyStates = states;
+    lastStepTime = performance.now();
+    stringPullAmount = state[STEP_HEADER.pullAmount];
 
-                // Adaptive sub-step count based on activity to maintain stability while reducing load
-                let subSteps = 8; // Base count for stability
-                if (window.physicsMode === 'hinge') {
-                    subSteps = 12; // Higher for hinge mode stability
-                } else if (mouseButtonDown) {
-                    subSteps = 10; // Higher when actively spinning
-                }
+    // A replay isn't play - keep it out of the toy's history
+    if (!isReplaying()) {
+        updateToyMemory(PHYSICS_STEP, Math.abs(state[STEP_HEADER.spinSpeed]), state[STEP_HEADER.spinning] === 1);
+    }
+}
 
-                physicsWorld.stepSimulation(delta, subSteps);
-
-                // DEBUG: Check if constraints are being processed
-                // if (frameCount % 120 === 0) {
-                //     console.log(`🔗 Active constraints: ${Object.keys(constraints).length}`);
-                // }
-            } catch (e) {
-                console.error('❌ Physics step failed:', e);
-                console.error('This may indicate physics engine corruption. Try resetting the toy.');
-
-                physicsFailureCount++;
-                const currentTime = performance.now();
-
-                // Check memory usage and pool stats
-                const poolStats = ammoObjectPool.getStats();
-                console.warn('📊 Memory stats:', poolStats);
-
-                // If failures are too frequent or memory pressure is high, recreate physics world
-                const shouldRecreate = physicsFailureCount >= MAX_PHYSICS_FAILURES ||
-                    (lastPhysicsFailureTime > 0 && currentTime - lastPhysicsFailureTime < 1000) ||
-                    poolStats.totalAllocations > 1000; // High allocation count indicates memory pressure
-
-                if (shouldRecreate) {
-                    console.error('🚨 Physics corruption/memory pressure detected. Recreating physics world...');
-                    recreatePhysicsWorld();
-                    physicsFailureCount = 0;
-                } else if (physicsFailureCount >= 3) {
-                    // Less severe - just reset the toy
-                    console.warn('⚠️ Physics instability detected. Resetting toy...');
-                    window.resetToy();
-                    physicsFailureCount = 0;
-                }
+// MORE TOYS - extra toys from the same GLB, built into the main toy's world at other positions, so their
+// limbs hit each other's (see createScene in toy-simulation.js). Each has its own stick, joints and inputs;
+// the main toy (toy 0) keeps the controls and the recorder. A row of toys of different ages shows
+// how wear changes the way they spin
+const EXTRA_TOY_SETTINGS = {
+    spacing: 6,     // Between sticks (world units) - limbs flung out by a fast spin reach the next toy's
+    minSpacing: 4,  // Closest two sticks may stand - any nearer and the limbs tangle and tear each other off
+    rowSize: 4,
+    maxAge: 0.9     // Wear of the oldest toy in a row (0 = new, 1 = worn out)
+};
+let toyTemplate = null;         // Untouched copy of the loaded GLB
+let extraToys = new Map();      // Toy id → { x, group, torso, limbs, previousStates, currentStates, pullAmount, status, strings }
+let nextToyId = 1;
+let inputTarget = 0;            // Toy the page's inputs go to: 0 (the main toy) or 'all'
+
+// Another toy at x along the row; age wears all its joints (0..1), setup overrides any of the simulation's
+// setup (interactionMode, limbConditions, jointFatigue)
+// Returns the toy's id, or null before the main toy is ready or when x is within minSpacing of another toy
+function spawnToy({ x = EXTRA_TOY_SETTINGS.spacing, age = 0, physicsMode = window.physicsMode, setup = {} } = {}) {
+    if (!physicsReady || !toyTemplate) {
+        console.warn('⚠️ The main toy is not ready yet');
+        return null;
+    }
+    const neighbour = [0, ...Array.from(extraToys.values(), toy => toy.x)].find(other => Math.abs(x - other) < EXTRA_TOY_SETTINGS.minSpacing);
+    if (neighbour !== undefined) {
+        console.warn(`⚠️ No room for a toy at x=${x} - the toy at x=${neighbour} is closer than ${EXTRA_TOY_SETTINGS.minSpacing}`);
+        return null;
+    }
 
-                lastPhysicsFailureTime = currentTime;
-                return;
-            }
+    const id = nextToyId++;
+    const group = toyTemplate.clone();
+    const torso = findCollectionInGLTF(group, toyParts.parts.torso.node);
+    const limbs = {};
+    LIMB_NAMES.forEach(name => {
+        const part = toyParts.parts[name];
+        const ref = part && findCollectionInGLTF(group, part.node);
+        if (ref) limbs[name] = ref;
+    });
 
-            // Sync physics transforms to Three.js visuals
-            syncPhysicsToThree();
+    // Limbs are synced in world space like the main toy's; hidden until the first step places them
+    scene.add(group);
+    Object.values(limbs).forEach(ref => scene.attach(ref));
+    [group, ...Object.values(limbs)].forEach(object => { object.visible = false; });
 
-            // Periodic check if sync is working
-            if (frameCount % 120 === 0) { // Every 2 seconds
-                // console.log(`🔄 Physics sync active - frame ${frameCount}`);
+    extraToys.set(id, { x, group, torso, limbs, previousStates: {}, currentStates: {}, pullAmount: 0, status: null, strings: {} });
 
-                // Monitor memory usage every 2 seconds
-                const poolStats = ammoObjectPool.getStats();
-                if (poolStats.totalAllocations > 500) {
-                    console.warn('⚠️ High memory usage detected:', poolStats);
-                }
-            }
-        }
+    const wear = Math.max(0, Math.min(1, age));
+    const jointFatigue = {};
+    LIMB_NAMES.forEach(name => {
+        jointFatigue[name] = { ...ToySimulation.createJointFatigueState(), wear };
+    });
+    postToPhysics({
+        type: 'addToy',
+        toy: id,
+        setup: { physicsMode, jointFatigue, spinTarget: physicsStatus ? physicsStatus.spinTarget : null, ...setup },
+        position: { x, y: 0, z: 0 }
+    });
 
-        // PHYSICS → VISUAL SYNC (MANDATORY)
-        // syncPhysicsToThree() is called above in the physics control section
+    // console.log(`🧸 Toy ${id} at x=${x} (age ${wear})`);
+    return id;
+}
 
-        renderer.render(scene, camera);
-    } catch (error) {
-        console.error('❌ Animation loop error:', error.message || error);
-        console.error('Stack:', error.stack);
-        // Continue the animation loop despite errors
-        requestAnimationFrame(animate);
-        renderer.render(scene, camera);
+function removeToy(id) {
+    const toy = extraToys.get(id);
+    if (!toy) return;
+
+    postToPhysics({ type: 'removeToy', toy: id });
+    scene.remove(toy.group);
+    Object.values(toy.limbs).forEach(ref => scene.remove(ref));
+    Object.values(toy.strings.hanging || {}).forEach(mesh => scene.remove(mesh));
+    if (toy.strings.pull) {
+        scene.remove(toy.strings.pull.lines);
+        scene.remove(toy.strings.pull.handle);
+        toy.strings.pull.lines.geometry.dispose();
+    }
+    extraToys.delete(id);
+
+    if (id === compareToyId) {
+        compareToyId = null;
+        updateCompareLabels();
     }
 }
 
+function clearExtraToys() {
+    Array.from(extraToys.keys()).forEach(removeToy);
+    setInputTarget(0);
+}
 
-// PHYSICS → VISUAL SYNC (MANDATORY)
-function syncPhysicsToThree() {
-    try {
-        // Guard: Only sync if AmmoLib is loaded and physics bodies exist
-        if (!AmmoLib || !rigidBodies.torso) {
-            return;
+// Toys either side of the main toy, each older than the last - spacing is held to at least minSpacing
+function spawnToyRow(count = EXTRA_TOY_SETTINGS.rowSize, spacing = EXTRA_TOY_SETTINGS.spacing) {
+    clearExtraToys();
+    spacing = Math.max(EXTRA_TOY_SETTINGS.minSpacing, spacing);
+
+    const ids = [];
+    for (let i = 1; i <= count; i++) {
+        const side = i % 2 === 1 ? 1 : -1;
+        const x = side * Math.ceil(i / 2) * spacing;
+        const id = spawnToy({ x, age: EXTRA_TOY_SETTINGS.maxAge * i / count });
+        if (id !== null) ids.push(id);
+    }
+    return ids;
+}
+
+// Send the page's inputs (buttons, mouse, touch) to the main toy (0) or to every toy ('all')
+function setInputTarget(target) {
+    inputTarget = target === 'all' ? 'all' : 0;
+}
+
+function handleExtraToyMessage(message) {
+    const toy = extraToys.get(message.toy);
+
+    switch (message.type) {
+        case 'step':
+            if (toy) {
+                const state = new Float64Array(message.buffer);
+                const states = readStepState(state);
+                toy.previousStates = state[STEP_HEADER.teleported] ? states : toy.currentStates;
+                toy.currentStates = states;
+                toy.pullAmount = state[STEP_HEADER.pullAmount];
+            }
+            // Hand the buffer back for a later step
+            postToPhysics({ type: 'returnBuffer', buffer: message.buffer }, [message.buffer]);
+            break;
+        case 'status':
+            if (toy) toy.status = message.status;
+            updateCompareLabels();
+            break;
+        case 'ready':
+        case 'fatigue':
+        case 'recording':
+        case 'factoryReset':
+            // Rest poses come with the first step; wear and history are only kept for the main toy
+            break;
+        default:
+            console.warn(`⚠️ Unknown physics message for toy ${message.toy}: ${message.type}`);
+    }
+}
+
+// Extra toys follow their latest steps like the main toy, strings included
+function syncExtraToys(alpha) {
+    extraToys.forEach(toy => {
+        if (!toy.currentStates.torso || !toy.status) return;
+        const poses = { previous: toy.previousStates, current: toy.currentStates };
+        const { limbConditions, detachedLimbs } = toy.status;
+
+        toy.group.visible = true;
+        applyInterpolatedPose(toy.torso, 'torso', alpha, poses);
+        Object.keys(toy.limbs).forEach(name => {
+            const ref = toy.limbs[name];
+            ref.visible = !!toy.currentStates[name] && limbConditions[name] !== 'missing';
+            if (ref.visible) {
+                applyInterpolatedPose(ref, name, alpha, poses);
+            }
+        });
+
+        // Strings are made the first time the toy needs them, from the main toy's (shared materials)
+        if (toy.currentStates.hanger && !toy.strings.hanging && hangingStringMeshes) {
+            toy.strings.hanging = {};
+            Object.keys(hangingStringMeshes).forEach(name => {
+                toy.strings.hanging[name] = hangingStringMeshes[name].clone();
+                scene.add(toy.strings.hanging[name]);
+            });
         }
+        updateHangingStringVisual(alpha, toy.strings.hanging, poses);
+
+        const pulling = toy.status.interactionMode === 'string';
+        if (pulling && !toy.strings.pull && stringLines && stringRig) {
+            toy.strings.pull = {
+                lines: new THREE.LineSegments(stringLines.geometry.clone(), stringLines.material),
+                handle: stringHandle.clone()
+            };
+            toy.strings.pull.lines.frustumCulled = false;
+            scene.add(toy.strings.pull.lines);
+            scene.add(toy.strings.pull.handle);
+        }
+        if (toy.strings.pull) {
+            drawPullString(toy.strings.pull, {
+                visible: pulling,
+                torso: toy.torso,
+                limbs: toy.limbs,
+                attached: Object.keys(toy.limbs).filter(name => toy.limbs[name].visible && !detachedLimbs.includes(name)),
+                pullAmount: toy.pullAmount
+            });
+        }
+    });
+}
 
-    // 🔒 Safety guard: never sync world physics into parented meshes
-    if (
-        (leftArmRef && leftArmRef.parent !== scene) ||
-        (rightArmRef && rightArmRef.parent !== scene) ||
-        (leftLegRef && leftLegRef.parent !== scene) ||
-        (rightLegRef && rightLegRef.parent !== scene)
-    ) {
-        console.warn('⚠️ Limbs still parented – skipping physics sync');
+window.spawnToy = spawnToy;
+window.removeToy = removeToy;
+window.clearExtraToys = clearExtraToys;
+window.spawnToyRow = spawnToyRow;
+window.setInputTarget = setInputTarget;
+
+// SIDE BY SIDE - New Toy and Old Toy at once, each in half of the screen, played with by the same input
+// The twin is an extra toy (see MORE TOYS) in the other mode, with the main toy's wear, limbs and interaction
+// mode, far enough along the row that the two never touch. The right half is drawn from a second camera, with
+// the shadow-casting lights moved along so both toys are lit the same
+const COMPARE_SETTINGS = {
+    offset: 16      // Twin's distance from the main toy (world units) - out of reach and out of the left half
+};
+let compareToyId = null;           // The twin while comparing
+const compareCamera = camera.clone();
+
+// Returns false before the main toy is ready
+function startComparison() {
+    if (compareToyId !== null) return true;
+
+    clearExtraToys();
+    compareToyId = spawnToy({
+        x: COMPARE_SETTINGS.offset,
+        physicsMode: getOtherPhysicsMode(window.physicsMode),
+        setup: { interactionMode, limbConditions: { ...limbConditions }, jointFatigue }
+    });
+    if (compareToyId === null) return false;
+
+    // Every press, drag and button goes to both toys
+    setInputTarget('all');
+    updateCompareLabels();
+    return true;
+}
+
+function stopComparison() {
+    if (compareToyId === null) return;
+
+    removeToy(compareToyId);
+    setInputTarget(0);
+}
+
+function isComparing() {
+    return compareToyId !== null;
+}
+
+function getOtherPhysicsMode(mode) {
+    return mode === 'elastic' ? 'hinge' : 'elastic';
+}
+
+// Which toy is on which side, from the modes the simulation reports
+function updateCompareLabels() {
+    const overlay = document.getElementById('compareOverlay');
+    if (!overlay) return;
+
+    overlay.style.display = isComparing() ? 'block' : 'none';
+    if (!isComparing()) return;
+
+    const twin = extraToys.get(compareToyId);
+    const label = mode => mode === 'elastic' ? '📻 Old Toy' : '🆕 New Toy';
+    document.getElementById('compareLabelLeft').textContent = label(physicsStatus ? physicsStatus.physicsMode : window.physicsMode);
+    document.getElementById('compareLabelRight').textContent = twin && twin.status ? label(twin.status.physicsMode) : '';
+}
+
+// Draw the scene - the whole screen, or the main toy on the left and its twin on the right
+function renderScene() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    if (!isComparing()) {
+        setCameraAspect(camera, width / height);
+        renderer.render(scene, camera);
         return;
     }
 
-    // Additional safety: Check if physics world is still valid
-    if (!physicsWorld) {
-        console.warn('⚠️ Physics world not available - skipping sync');
+    const half = width / 2;
+    setCameraAspect(camera, half / height);
+    compareCamera.copy(camera);
+    compareCamera.position.x += COMPARE_SETTINGS.offset;
+    compareCamera.updateMatrixWorld();
+
+    renderer.setScissorTest(true);
+    renderer.setViewport(0, 0, half, height);
+    renderer.setScissor(0, 0, half, height);
+    renderer.render(scene, camera);
+
+    moveShadowLights(COMPARE_SETTINGS.offset);
+    renderer.setViewport(half, 0, half, height);
+    renderer.setScissor(half, 0, half, height);
+    renderer.render(scene, compareCamera);
+    moveShadowLights(-COMPARE_SETTINGS.offset);
+
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
+}
+
+function setCameraAspect(view, aspect) {
+    if (view.aspect === aspect) return;
+    view.aspect = aspect;
+    view.updateProjectionMatrix();
+}
+
+// The key light's shadow only covers the area around the main toy, and the point light is close by
+function moveShadowLights(dx) {
+    keyLight.position.x += dx;
+    keyLight.target.position.x += dx;
+    keyLight.target.updateMatrixWorld();
+    pointLight.position.x += dx;
+}
+
+window.startComparison = startComparison;
+window.stopComparison = stopComparison;
+window.isComparing = isComparing;
+
+// INPUT QUEUE - everything that changes the simulation goes through dispatchInput(); the simulation
+// queues it and applies it at the start of its next physics step, so inputs are tied to step indices
+// and a recording replays exactly
+// toy: 0 for the main toy, 'all' for every toy, or an extra toy's id (the page's input target by default)
+function dispatchInput(input, toy = inputTarget) {
+    if (isReplaying()) {
+        // console.log(`⏯️ Ignoring ${input.type} during replay`);
         return;
     }
 
-    // Get transform from object pool to prevent WebAssembly memory corruption
-    let tmpTrans = ammoObjectPool.getTransform();
+    postToPhysics({ type: 'input', input, toy });
+}
 
-    // Sync torso from physics to Three.js
-    if (rigidBodies.torso && bodyMainRef) {
-        try {
-            // Additional validation: check if body is still valid
-            if (!rigidBodies.torso.getMotionState) {
-                console.warn('⚠️ Torso motion state accessor missing');
-                return;
-            }
+// RECORD / REPLAY - the simulation records inputs by step and replays them; the page asks for it and keeps the file
+function startRecording() {
+    if (!physicsReady || isReplaying()) return;
+
+    // The recording starts from the toy as it is now - drop any drag in progress
+    stringDragStartY = null;
+    throwSamples = null;
+    hangerDragStart = null;
+    stickDrag = null;
+    partGrab = null;
+    spinPressed = false;
+    spinDrag = null;
+    postToPhysics({ type: 'startRecording' });
+}
 
-            const motionState = rigidBodies.torso.getMotionState();
-            if (motionState && motionState.getWorldTransform) {
-                motionState.getWorldTransform(tmpTrans);
+// Resolves with the recording once the simulation has finished it (null when nothing was recording)
+function stopRecording() {
+    if (!physicsStatus || !physicsStatus.recording) return Promise.resolve(null);
 
-                const p = tmpTrans.getOrigin();
-                const q = tmpTrans.getRotation();
+    return new Promise(resolve => {
+        recordingRequests.push(resolve);
+        postToPhysics({ type: 'stopRecording' });
+    });
+}
 
-                // Check if values are valid
-                if (isNaN(p.x()) || isNaN(p.y()) || isNaN(p.z()) || isNaN(q.x()) || isNaN(q.y()) || isNaN(q.z()) || isNaN(q.w())) {
-                    console.warn('⚠️ Invalid torso physics transform - pos:', p.x(), p.y(), p.z(), 'rot:', q.x(), q.y(), q.z(), q.w(), 'skipping sync');
-                    return;
-                }
+function toggleRecording() {
+    if (physicsStatus && physicsStatus.recording) {
+        stopRecording().then(rec => {
+            if (rec) exportRecording(rec);
+        });
+    } else {
+        startRecording();
+    }
+}
 
-                // Sync to the group - groups handle hierarchical transforms correctly
-                bodyMainRef.position.set(p.x(), p.y(), p.z());
-                bodyMainRef.quaternion.set(q.x(), q.y(), q.z(), q.w());
+// JSON text of a recording; in the browser it is also downloaded as a file
+function exportRecording(rec = lastRecording) {
+    if (!rec) {
+        console.warn('⚠️ Nothing recorded yet');
+        return null;
+    }
 
-                // DEBUG: Log torso rotation occasionally
-                if (frameCount % 60 === 0) { // Every second
-                    // console.log(`🔄 Torso visual: pos(${p.x().toFixed(2)}, ${p.y().toFixed(2)}, ${p.z().toFixed(3)}, ${p.w().toFixed(3)}) rot(${q.x().toFixed(3)}, ${q.y().toFixed(3)}, ${q.z().toFixed(3)}, ${q.w().toFixed(3)})`);
-                }
-            } else {
-                console.warn('⚠️ Torso motion state is null or invalid');
-            }
-        } catch (e) {
-            console.error('❌ Error syncing torso transform:', e);
-            return;
-        }
+    const json = JSON.stringify(rec);
+    try {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `toy-recording-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (e) {
+        console.warn('⚠️ Could not download recording:', e.message);
     }
+    return json;
+}
 
-    // Sync individual torso mesh colliders to follow their respective meshes
-    if (rigidBodies.torsoMeshColliders && rigidBodies.torsoMeshColliders.length > 0) {
-        rigidBodies.torsoMeshColliders.forEach(collider => {
-            const { body, mesh, initialPosition, initialQuaternion } = collider;
+// Accepts JSON text or a parsed recording; throws if it can't be replayed here
+function loadRecording(data) {
+    const rec = typeof data === 'string' ? JSON.parse(data) : data;
 
-            // Get current mesh world transform
-            const currentPos = new THREE.Vector3();
-            const currentQuat = new THREE.Quaternion();
-            mesh.getWorldPosition(currentPos);
-            mesh.getWorldQuaternion(currentQuat);
+    if (!rec || rec.version !== RECORDING_VERSION || !Array.isArray(rec.events) || !rec.setup) {
+        throw new Error('Not a toy recording (or an unsupported version)');
+    }
+    if (rec.physicsStep !== PHYSICS_STEP || rec.substeps !== PHYSICS_SUBSTEPS) {
+        throw new Error(`Recording uses a different physics step (${rec.physicsStep}s × ${rec.substeps})`);
+    }
 
-            // Create transform for collider
-            const colliderTransform = ammoObjectPool.getTransform();
-            if (!colliderTransform) return;
+    return playRecording(rec);
+}
 
-            colliderTransform.setIdentity();
-            const originVec = ammoObjectPool.getVector(currentPos.x, currentPos.y, currentPos.z);
-            colliderTransform.setOrigin(originVec);
-            ammoObjectPool.returnVector(originVec);
-            colliderTransform.setRotation(new AmmoLib.btQuaternion(currentQuat.x, currentQuat.y, currentQuat.z, currentQuat.w));
+// The toy's own state comes back when the replay ends
+function playRecording(rec = lastRecording) {
+    if (!rec || !physicsReady) return false;
+
+    stringDragStartY = null;
+    throwSamples = null;
+    hangerDragStart = null;
+    stickDrag = null;
+    partGrab = null;
+    spinPressed = false;
+    spinDrag = null;
+    postToPhysics({ type: 'playRecording', recording: rec });
+    return true;
+}
 
-            // Update collider position (static bodies need manual transform updates)
-            body.setWorldTransform(colliderTransform);
+function stopReplay() {
+    postToPhysics({ type: 'stopReplay' });
+}
 
-            // Return transform to pool
-            ammoObjectPool.returnTransform(colliderTransform);
-        });
+function isReplaying() {
+    return !!(physicsStatus && physicsStatus.replaying);
+}
+
+// Record/replay button labels follow the recorder state
+function updateRecorderButtons() {
+    const recordButton = document.getElementById('recordButton');
+    if (recordButton) {
+        recordButton.textContent = physicsStatus && physicsStatus.recording ? '⏹️ Stop' : '⏺️ Record';
     }
 
-    // Sync pivot colliders to follow joint positions
-    if (rigidBodies.pivotColliders && rigidBodies.pivotColliders.length > 0) {
-        const pivotUpdates = [
-            { name: 'leftHandPivot', constraint: leftHandConstraint, limb: 'leftArm' },
-            { name: 'rightHandPivot', constraint: rightHandConstraint, limb: 'rightArm' },
-            { name: 'leftLegPivot', constraint: leftLegConstraint, limb: 'leftLeg' },
-            { name: 'rightLegPivot', constraint: rightLegConstraint, limb: 'rightLeg' }
-        ];
-
-        pivotUpdates.forEach(update => {
-            const pivotCollider = rigidBodies.pivotColliders.find(pc => pc.name === update.name);
-            if (!pivotCollider) return;
-
-            // Get current joint position
-            let jointPos = new THREE.Vector3();
-            if (update.constraint) {
-                update.constraint.getWorldPosition(jointPos);
-            } else if (rigidBodies[update.limb]) {
-                // Fallback: use limb position
-                const limbTransform = new AmmoLib.btTransform();
-                rigidBodies[update.limb].getMotionState().getWorldTransform(limbTransform);
-                const limbOrigin = limbTransform.getOrigin();
-                jointPos.set(limbOrigin.x(), limbOrigin.y(), limbOrigin.z());
-            } else {
-                return; // Skip if no position available
-            }
+    const replayButton = document.getElementById('replayButton');
+    if (replayButton) {
+        replayButton.textContent = isReplaying() ? '⏹️ Stop Replay' : '▶️ Replay';
+    }
+}
 
-            // Update pivot collider position
-            const pivotTransform = ammoObjectPool.getTransform();
-            if (pivotTransform) {
-                pivotTransform.setIdentity();
-                const originVec = ammoObjectPool.getVector(jointPos.x, jointPos.y, jointPos.z);
-                pivotTransform.setOrigin(originVec);
-                ammoObjectPool.returnVector(originVec);
-                pivotTransform.setRotation(new AmmoLib.btQuaternion(0, 0, 0, 1)); // No rotation needed for spheres
-
-                pivotCollider.body.setWorldTransform(pivotTransform);
-                ammoObjectPool.returnTransform(pivotTransform);
-            }
-        });
+// UI buttons dispatch inputs instead of calling resetToy() etc. directly, so they are recorded;
+// the direct functions stay available in the console
+window.dispatchInput = dispatchInput;
+window.startRecording = startRecording;
+window.stopRecording = stopRecording;
+window.toggleRecording = toggleRecording;
+window.exportRecording = exportRecording;
+window.loadRecording = loadRecording;
+window.playRecording = playRecording;
+window.stopReplay = stopReplay;
+window.isReplaying = isReplaying;
+
+// Animation loop - renders the toy from the body poses the simulation streams back
+function animate(currentTime = 0) {
+    try {
+        requestAnimationFrame(animate);
+
+        // Initialize lastTime on first frame
+        if (lastTime === 0) {
+            lastTime = currentTime;
+        }
+
+        // Frame time (the simulation clamps long pauses itself)
+        const frameDelta = (currentTime - lastTime) / 1000;
+        lastTime = currentTime;
+
+        // Simple frame counter to verify animation is running
+        frameCount++;
+        if (frameCount % 60 === 0) { // Every ~1 second at 60fps
+            // console.log(`🎬 Animation running - frame ${frameCount}`);
+        }
+
+        // FIXED-STEP PHYSICS - the worker steps on its own clock; without one the simulation is stepped from here
+        let alpha = 1;
+        if (physicsHost) {
+            alpha = physicsHost.advance(frameDelta);
+        } else if (physicsWorker) {
+            // Blend towards the latest step over one step's time
+            alpha = Math.min(1, (performance.now() - lastStepTime) / (PHYSICS_STEP * 1000));
+        }
+
+        if (physicsReady) {
+            // Sync physics transforms to Three.js visuals, blended between the last two steps
+            syncPhysicsToThree(alpha);
+            syncExtraToys(alpha);
+            updateStringVisual();
+            updateHangingStringVisual(alpha);
+        }
+
+        renderScene();
+    } catch (error) {
+        console.error('❌ Animation loop error:', error.message || error);
+        console.error('Stack:', error.stack);
+        // Continue the animation loop despite errors
+        requestAnimationFrame(animate);
+        renderScene();
     }
+}
 
-    // Sync limbs from physics to Three.js
-    const limbs = [
-        { name: 'leftArm', ref: leftArmRef, body: rigidBodies.leftArm },
-        { name: 'rightArm', ref: rightArmRef, body: rigidBodies.rightArm },
-        { name: 'leftLeg', ref: leftLegRef, body: rigidBodies.leftLeg },
-        { name: 'rightLeg', ref: rightLegRef, body: rigidBodies.rightLeg }
-    ];
-
-    limbs.forEach(({ name, ref, body }) => {
-        if (body && ref) {
-            try {
-                // Additional validation: check if body is still valid
-                if (!body.getMotionState) {
-                    console.warn(`⚠️ ${name} motion state accessor missing`);
-                    return;
-                }
 
-                const motionState = body.getMotionState();
-                if (motionState && motionState.getWorldTransform) {
-                    motionState.getWorldTransform(tmpTrans);
+// PHYSICS → VISUAL SYNC (MANDATORY) - applies the received transforms, nothing else
+function syncPhysicsToThree(alpha = 1) {
+    try {
+        // Guard: Only sync once body poses have arrived
+        if (!physicsReady || !currentBodyStates.torso) {
+            return;
+        }
 
-                    const p = tmpTrans.getOrigin();
-                    const q = tmpTrans.getRotation();
+    // 🔒 Safety guard: never sync world physics into parented meshes
+    const activeLimbs = getActiveLimbNames();
+    if (activeLimbs.some(name => getLimbRef(name) && getLimbRef(name).parent !== scene)) {
+        console.warn('⚠️ Limbs still parented – skipping physics sync');
+        return;
+    }
 
-                    // Check if values are valid
-                    if (isNaN(p.x()) || isNaN(p.y()) || isNaN(p.z()) || isNaN(q.x()) || isNaN(q.y()) || isNaN(q.z()) || isNaN(q.w())) {
-                        console.warn(`⚠️ Invalid ${name} physics transform - pos:`, p.x(), p.y(), p.z(), 'rot:', q.x(), q.y(), q.z(), q.w());
-                        return;
-                    }
+    // Sync torso from physics to Three.js - the group handles hierarchical transforms correctly
+    if (bodyMainRef) {
+        applyInterpolatedPose(bodyMainRef, 'torso', alpha);
 
-                    ref.position.set(p.x(), p.y(), p.z());
-                    ref.quaternion.set(q.x(), q.y(), q.z(), q.w());
+        // DEBUG: Log torso rotation occasionally
+        // if (frameCount % 60 === 0) {
+        //     console.log(`🔄 Torso visual: pos(${bodyMainRef.position.x.toFixed(2)}, ${bodyMainRef.position.y.toFixed(2)}, ${bodyMainRef.position.z.toFixed(2)})`);
+        // }
+    }
 
-                    // DEBUG: Log limb movement when spinning (less frequently)
-                    // if (mouseButtonDown && frameCount % 120 === 0) {
-                    //     console.log(`${name}: pos(${p.x().toFixed(2)}, ${p.y().toFixed(2)}, ${p.z().toFixed(2)})`);
-                    // }
-                } else {
-                    console.warn(`⚠️ ${name} motion state is null or invalid`);
-                }
-            } catch (e) {
-                console.error(`❌ Error getting ${name} transform:`, e);
-            }
+    // Sync limbs from physics to Three.js (missing limbs are hidden and skipped)
+    activeLimbs.forEach(name => {
+        const ref = getLimbRef(name);
+        if (ref) {
+            applyInterpolatedPose(ref, name, alpha);
         }
     });
 
     // Anchor is kinematic and doesn't need syncing back to Three.js
     // (it only moves based on cursor input)
 
-    // Return transform to pool to prevent memory leaks
-    ammoObjectPool.returnTransform(tmpTrans);
-
     } catch (error) {
         console.error('❌ Physics sync error - skipping frame:', error.message);
         // Continue without crashing - physics corruption shouldn't break the app
@@ -1926,57 +2409,230 @@ function syncPhysicsToThree() {
     }
 }
 
+// Blend a body's pose between the last two physics steps onto its Three.js object (the main toy's poses
+// unless an extra toy's are given)
+function applyInterpolatedPose(object, name, alpha, poses = { previous: previousBodyStates, current: currentBodyStates }) {
+    const current = poses.current[name];
+    if (!current) return;
+    const previous = poses.previous[name] || current;
+
+    object.position.lerpVectors(previous.position, current.position, alpha);
+    object.quaternion.copy(previous.quaternion).slerp(current.quaternion, alpha);
+}
+
 // Handle window resize
 function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+    // Half the width each while comparing (see renderScene)
+    setCameraAspect(camera, (isComparing() ? window.innerWidth / 2 : window.innerWidth) / window.innerHeight);
 
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 }
 
-// Event listeners
-window.addEventListener('resize', onWindowResize);
-window.addEventListener('mousemove', onMouseMove);
-// Mouse events for desktop
-window.addEventListener('mousedown', onMouseDown);
-window.addEventListener('mouseup', onMouseUp);
-
-// Touch events for mobile devices
-window.addEventListener('touchstart', function(event) {
-    // Only prevent default if not touching the description box
-    const target = event.target;
-    const isDescriptionTouch = target.closest && target.closest('#instructions');
-
-    if (!isDescriptionTouch) {
-        // Prevent scrolling and other default behaviors for canvas interactions
-        event.preventDefault();
-        const touch = event.touches[0];
-        if (touch) {
-            onMouseDown(touch);
-        }
+// POINTER GESTURES - mouse, touch and pen through Pointer Events on the canvas
+// - press: one pointer presses and drags as the mode has it (spin, pull, throw, hang, shake, grab)
+// - zoom: pinch two fingers (and the scroll wheel)
+// - orbit: twist two fingers, or drag with the right mouse button, to turn the view around the toy
+// - pan: move two fingers together, or drag with the middle mouse button, to move the view
+// - longPress: in spin mode, a finger or pen held still on the toy takes hold of the part under it, the body
+//   included - what Shift+press does with the mouse (a held mouse button keeps spinning)
+// Each can be switched off (setGestureEnabled(name, false) in the console)
+const GESTURE_SETTINGS = {
+    longPressTime: 500,   // Milliseconds held still
+    longPressSlop: 10,    // Pixels a long-press may wander
+    orbitPerPixel: 0.008, // Right-button drag: radians around the toy per pixel across
+    heightPerPixel: 0.03  // and camera height per pixel up or down
+};
+const gestures = { press: true, zoom: true, orbit: true, pan: true, longPress: true };
+const activePointers = new Map();   // Pointers down on the canvas: pointerId → { x, y }
+let pressPointer = null;            // { id, x, y, timer } of the pointer driving the press; null otherwise
+let twoFingerGesture = null;        // { start, zoom, yaw, target } as the second finger came down; null otherwise
+let mouseViewDrag = null;           // { gesture, x, y } while the right or middle button moves the view
+
+function setGestureEnabled(name, enabled) {
+    if (!(name in gestures)) {
+        console.warn(`⚠️ Unknown gesture: ${name}`);
+        return;
     }
-    // If touching description, let normal touch behavior happen
-}, { passive: false });
+    gestures[name] = !!enabled;
+}
+
+function getGestures() {
+    return { ...gestures };
+}
 
-window.addEventListener('touchend', function(event) {
-    // Only prevent default if not touching the description box
-    const target = event.target;
-    const isDescriptionTouch = target.closest && target.closest('#instructions');
+function onPointerDown(event) {
+    const canvas = renderer.domElement;
 
-    if (!isDescriptionTouch) {
-        // Prevent any default behaviors for canvas touch end
-        event.preventDefault();
-        const touch = event.changedTouches[0];
-        if (touch) {
-            onMouseUp(touch);
+    // The right and middle mouse buttons move the view; only the left one presses
+    if (event.pointerType === 'mouse' && event.button !== 0) {
+        const gesture = { 1: 'pan', 2: 'orbit' }[event.button];
+        if (gesture && gestures[gesture]) {
+            event.preventDefault();
+            canvas.setPointerCapture(event.pointerId);
+            mouseViewDrag = { gesture, x: event.clientX, y: event.clientY };
         }
+        return;
+    }
+
+    // Captured, so a drag keeps coming when it leaves the canvas (over a button)
+    canvas.setPointerCapture(event.pointerId);
+    activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (activePointers.size === 1) {
+        beginPress(event);
+    } else if (activePointers.size === 2) {
+        // A second finger turns the press into a view gesture
+        endPress(event);
+        beginTwoFingerGesture();
+    }
+}
+
+function onPointerMove(event) {
+    if (mouseViewDrag) {
+        moveMouseViewDrag(event);
+        return;
+    }
+    // Hover (the mouse is followed with no button down)
+    if (!activePointers.has(event.pointerId)) {
+        onMouseMove(event);
+        return;
+    }
+
+    activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (twoFingerGesture) {
+        moveTwoFingerGesture();
+        return;
     }
-    // If touching description, let normal touch behavior happen
-}, { passive: false });
+    if (!pressPointer || pressPointer.id !== event.pointerId) return;
+
+    if (pressPointer.timer && Math.hypot(event.clientX - pressPointer.x, event.clientY - pressPointer.y) > GESTURE_SETTINGS.longPressSlop) {
+        clearTimeout(pressPointer.timer);
+        pressPointer.timer = null;
+    }
+    onMouseMove(event);
+}
+
+function onPointerUp(event) {
+    // A view drag ends with the last mouse button up
+    if (mouseViewDrag && !event.buttons) {
+        mouseViewDrag = null;
+    }
+    if (!activePointers.delete(event.pointerId)) return;
+
+    if (pressPointer && pressPointer.id === event.pointerId) {
+        endPress(event);
+    }
+    if (activePointers.size < 2) {
+        twoFingerGesture = null; // The finger left down does not press again until it is lifted
+    }
+}
+
+// One pointer: the mode's press, and a long-press timer for fingers and pens
+function beginPress(event) {
+    if (!gestures.press) return;
+
+    pressPointer = { id: event.pointerId, x: event.clientX, y: event.clientY, timer: null };
+    onMouseDown(event);
+
+    if (gestures.longPress && event.pointerType !== 'mouse') {
+        const at = { clientX: event.clientX, clientY: event.clientY };
+        pressPointer.timer = setTimeout(() => onLongPress(at), GESTURE_SETTINGS.longPressTime);
+    }
+}
+
+function endPress(event) {
+    if (!pressPointer) return;
+
+    clearTimeout(pressPointer.timer);
+    pressPointer = null;
+    onMouseUp(event);
+}
+
+// Held still on the toy in spin mode: stop spinning and take hold of the part there
+function onLongPress(at) {
+    if (!pressPointer) return;
+    pressPointer.timer = null;
+    if (!gestures.longPress || interactionMode !== 'spin' || partGrab || !getPartUnderPointer(at)) return;
+
+    releaseSpin();
+    beginPartGrab({ ...at, shiftKey: true });
+    // console.log('👆 Long-press - holding the part');
+}
+
+// Two fingers: pinch zooms, twisting orbits, moving both pans - all from where they came down
+function getTwoFingers() {
+    const [a, b] = Array.from(activePointers.values());
+    return {
+        spread: Math.hypot(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+        center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+    };
+}
+
+function beginTwoFingerGesture() {
+    twoFingerGesture = {
+        start: getTwoFingers(),
+        zoom: cameraView.distance,
+        yaw: cameraView.yaw,
+        target: cameraView.target.clone()
+    };
+}
+
+function moveTwoFingerGesture() {
+    const { start, zoom, yaw, target } = twoFingerGesture;
+    const fingers = getTwoFingers();
+
+    if (gestures.zoom && fingers.spread > 0) {
+        setZoomDistance(zoom * start.spread / fingers.spread);
+    }
+    if (gestures.orbit) {
+        const twist = fingers.angle - start.angle;
+        cameraView.yaw = yaw - Math.atan2(Math.sin(twist), Math.cos(twist));
+    }
+    if (gestures.pan) {
+        panView(target, fingers.center.x - start.center.x, fingers.center.y - start.center.y);
+    }
+    updateCameraView();
+}
+
+// Right button: across turns the view around the toy, up and down raises and lowers it; middle button pans
+function moveMouseViewDrag(event) {
+    const dx = event.clientX - mouseViewDrag.x;
+    const dy = event.clientY - mouseViewDrag.y;
+    mouseViewDrag.x = event.clientX;
+    mouseViewDrag.y = event.clientY;
+
+    if (mouseViewDrag.gesture === 'orbit') {
+        cameraView.yaw -= dx * GESTURE_SETTINGS.orbitPerPixel;
+        cameraView.height = Math.max(VIEW_SETTINGS.minHeight, Math.min(VIEW_SETTINGS.maxHeight,
+            cameraView.height + dy * GESTURE_SETTINGS.heightPerPixel));
+    } else {
+        panView(cameraView.target, dx, dy);
+    }
+    updateCameraView();
+}
+
+window.setGestureEnabled = setGestureEnabled;
+window.getGestures = getGestures;
+
+// Event listeners
+window.addEventListener('resize', onWindowResize);
+renderer.domElement.addEventListener('pointerdown', onPointerDown);
+renderer.domElement.addEventListener('pointermove', onPointerMove);
+renderer.domElement.addEventListener('pointerup', onPointerUp);
+renderer.domElement.addEventListener('pointercancel', onPointerUp);
+// The right button turns the view instead of opening the menu
+renderer.domElement.addEventListener('contextmenu', event => event.preventDefault());
 window.addEventListener('wheel', onMouseWheel, { passive: false });
 
-// Start animation
+// Load the part list, then the toy (physics starts once it is in the scene), and start animation
+loadToyParts()
+    .then(initScene)
+    .catch((error) => {
+        console.error('❌ Could not load toy-parts.json:', error.message);
+        console.error('💡 Serve the folder over HTTP (see README) so the part list can be fetched');
+    });
 animate();
 
 // Debug helper - log hierarchy on key press
@@ -0,0 +1,1448 @@
+// Headless physics core for the jumping jack - Ammo world, bodies, joints and spin control
+// No THREE, DOM or window in here: app.js renders the toy in the browser, and Node scripts
+// can build and step the same simulation from a rig description (see simulate.js)
+//
+//   const Ammo = require('./ammo_browser.js');
+//   const ToyPhysicsCore = require('./physics-core.js');
+//   Ammo().then(AmmoLib => {
+//       const toy = ToyPhysicsCore.createToyPhysics(AmmoLib, { mode: 'elastic' });
+//       toy.buildToy(rig);
+//       toy.createLimbJoints();
+//       toy.applySpinControl({ spinning: true, direction: 1 });
+//       toy.step(ToyPhysicsCore.PHYSICS_STEP);
+//   });
+//
+// Toys built into one world (createPhysicsWorld) at different positions bump into each other; the world
+// is stepped once for all of them:
+//   const physicsWorld = ToyPhysicsCore.createPhysicsWorld(AmmoLib);
+//   const toys = [-3, 3].map(x => ToyPhysicsCore.createToyPhysics(AmmoLib, { world: physicsWorld, position: { x, y: 0, z: 0 } }));
+//   toys.forEach(toy => { toy.buildToy(rig); toy.createLimbJoints(); });
+//   physicsWorld.step(ToyPhysicsCore.PHYSICS_STEP);
+//
+// Rig description (plain JSON, world space rest pose - app.js builds it from the GLB and toy-parts.json,
+// see describeToyRig):
+//   anchor: { position }                                   spin pivot on the stick
+//   torso:  { position, quaternion, mass, shape, inertiaScale, collision }
+//   panels: [{ name, position, quaternion, shape }]        torso parts, children of the torso's compound shape
+//   limbs:  { leftArm: { position, quaternion, mass, shape, parent, joint, axis, limits, stiffness, stretch,
+//             collision }, ... }
+// Positions are [x, y, z], quaternions [x, y, z, w]; joint is the limb's pivot, axis its hinge axis,
+// limits the hinge swing in degrees, stiffness and stretch its Old Toy elastic. The torso collides through
+// its panels and pivot spheres with torso.collision; its own shape sets mass and inertia
+// Shapes (in the body's frame): { type: 'box', halfExtents }, { type: 'capsule', radius, height, center, axis },
+//         { type: 'sphere', radius }, { type: 'cylinder', halfExtents },
+//         { type: 'convexHull', points: [[x, y, z], ...], simplify, margin }
+//         A capsule's optional center and axis place it off the body origin and Y axis
+// Collision: { group, mask } by COLLISION_GROUPS name, e.g. { group: 'limb', mask: ['limb', 'floor'] }
+
+const ToyPhysicsCore = (() => {
+    const RIG_VERSION = 4;
+
+    // Fixed-step physics - same step and substeps in every mode, so the toy behaves the same at any frame rate
+    const PHYSICS_STEP = 1 / 60;        // Seconds of simulation per step
+    const PHYSICS_SUBSTEPS = 1;         // Internal Bullet steps per physics step - applied forces (motor torque) only act on the first
+
+    // Collision groups for proper limb-torso separation
+    const GROUP_TORSO = 1;
+    const GROUP_LIMB = 2;
+    const GROUP_TORSO_PART = 4; // Torso parts - the torso body's compound shape
+    const GROUP_FLOOR = 8;
+
+    // Limb bodies, in the order they are created and synced
+    const LIMB_NAMES = ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'];
+    const LIMB_COLLISION_MASK = GROUP_LIMB | GROUP_TORSO_PART | GROUP_FLOOR; // Limbs collide with other limbs, torso parts and the floor
+
+    // Collision group names used by rig descriptions
+    const COLLISION_GROUPS = {
+        torso: GROUP_TORSO,
+        limb: GROUP_LIMB,
+        torsoPart: GROUP_TORSO_PART,
+        floor: GROUP_FLOOR
+    };
+
+    // Small spheres at the limb joints that keep limbs from sliding into the torso
+    const PIVOT_COLLIDERS = {
+        leftArm: 'leftHandPivot',
+        rightArm: 'rightHandPivot',
+        leftLeg: 'leftLegPivot',
+        rightLeg: 'rightLegPivot'
+    };
+    const PIVOT_COLLIDER_RADIUS = 0.03;
+
+    // Continuous collision detection for the dynamic bodies: a body that moves more than motionThreshold ×
+    // its thickness in one substep is swept as a sphere of sweptSphereRadius × thickness instead of jumping
+    // (thickness: the smallest half-size of its shape, see getShapeThickness; the sphere also has to fit
+    // around the body origin, see getOriginDepth). Bullet sweeps the origin in a straight line, so this stops
+    // limbs flung or dropped through something; a tip swinging through a torso part shows up in checkTunneling
+    const CCD_SETTINGS = { motionThreshold: 0.5, sweptSphereRadius: 0.8 };
+
+    // A limb contact deeper than this × the limb's thickness after a step means it went (partly) through
+    const TUNNELING_DEPTH = 0.5;
+
+    // Floor below the toy (world units) - torn-off limbs land on it, and the whole toy once it is let go
+    // (just below the end of the stick, even before the spin hinge has lifted the toy onto its anchor)
+    const FLOOR_SETTINGS = { y: -9, friction: 0.8, restitution: 0.1 };
+
+    // Wood on the floor - torso and limbs
+    const WOOD_SETTINGS = { friction: 0.6, restitution: 0.05 };
+
+    // Hanging string - the toy hangs by the top of its head from a kinematic hanger instead of sitting on
+    // its stick. The rope is a chain of light segments on ball joints, so it goes slack when the toy is
+    // pushed up and lets the torso tilt under it. Segments are heavier than real string - much lighter
+    // and the solver can't hold the toy on them
+    const HANGING_STRING_SETTINGS = {
+        length: 2,              // Hanger to the top of the head (world units)
+        segments: 4,
+        segmentMass: 0.15,
+        damping: [0.1, 0.5]
+    };
+    const HANGING_STRING_SEGMENTS = Array.from({ length: HANGING_STRING_SETTINGS.segments }, (_, i) => `hangingString${i}`);
+
+    // Grabbing a part - a point-to-point joint pulls the point grabbed towards the pointer; the clamp keeps the
+    // pull to what a hand could do, so the part's joints can hold it back
+    const GRAB_SETTINGS = {
+        tau: 0.3,               // Share of the gap closed per step
+        damping: 1,
+        impulseClamp: 2         // Largest impulse per solver iteration
+    };
+
+    // Solver per mode
+    const SOLVER_SETTINGS = {
+        hinge: { iterations: 25, erp: 0.8, erp2: 0.8, cfm: 0.0 },     // Maximum stability for precise control
+        elastic: { iterations: 15, erp: 0.7, erp2: 0.7, cfm: 0.02 }   // Flexible but stable, light CFM for elasticity
+    };
+
+    // Per-mode damping [linear, angular] - applied at creation and on live mode switches
+    const MODE_DAMPING = {
+        hinge: { torso: [0.02, 0.02], limb: [0.005, 0.01] },     // Balanced damping for hinge stability
+        elastic: { torso: [0.01, 0.01], limb: [0.002, 0.005] }   // Very light damping for elastic drift
+    };
+
+    // Spin control per mode - a press runs the stick's motor up to targetSpeed (rad/s) with at most maxTorque,
+    // and it brakes the toy on release; maxSpeed caps the motor's target, a drag and the momentum of a flick (rad/s)
+    const SPIN_SETTINGS = {
+        hinge: { targetSpeed: 2.5, maxTorque: 60, maxSpeed: 14, maxStopSpeed: 10 },
+        elastic: { targetSpeed: 4.5, maxTorque: 60, maxSpeed: 18, maxStopSpeed: 15 },
+        motorAcceleration: 4,           // rad/s² - how fast the motor spins the toy up (slow enough for the limbs to follow)
+        motorDeceleration: 6,           // rad/s² - how fast it slows down, turns round and brakes after release
+        stopDamping: [0.95, 0.98],      // Torso damping that brings the toy to rest on release
+        limbStopDamping: [0.3, 0.4],    // Limbs help stop the rotation
+        dragAcceleration: 120,          // Fastest a drag changes the spin (rad/s²)
+        coastDamping: [0.05, 0.3]       // Stick friction while a flicked toy spins on
+    };
+
+    // Hinge joint tuning for "New Toy" mode (setLimit parameters)
+    const HINGE_JOINT_SETTINGS = {
+        swing: Math.PI * 0.75,   // ~135 degrees, balanced
+        softness: 0.05,
+        bias: 0.05,
+        relaxation: 0.8
+    };
+
+    // Elastic joint tuning for "Old Toy" mode
+    // Linear springs let the limb drift off its Constraint_* pivot under centrifugal load,
+    // angular springs pull the small off-axis wobble back into the swing plane
+    // Stiffness and stretch come per limb from the rig; these are for limbs that don't say
+    const ELASTIC_JOINT_SETTINGS = {
+        stiffness: 500,
+        stretch: 0.45,
+        depthStretch: 0.1,           // Allowed drift out of the swing plane
+        linearDamping: 0.8,          // Spring return rate (1.0 = Bullet default)
+        wobble: Math.PI * 0.08,      // Off-axis twist the elastic allows
+        wobbleStiffness: 12,
+        wobbleDamping: 0.5,
+        swing: Math.PI * 0.9         // ~162 degrees, same swing range as the old soft hinge
+    };
+
+    // Plain vector/quaternion math ({x, y, z} / {x, y, z, w}) - the core doesn't load THREE
+    const vec = ([x, y, z]) => ({ x, y, z });
+    const quat = ([x, y, z, w]) => ({ x, y, z, w });
+    const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+    const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+    const invert = q => ({ x: -q.x, y: -q.y, z: -q.z, w: q.w });
+    const normalize = v => {
+        const length = Math.hypot(v.x, v.y, v.z);
+        return { x: v.x / length, y: v.y / length, z: v.z / length };
+    };
+
+    function multiplyQuaternions(a, b) {
+        return {
+            x: a.x * b.w + a.w * b.x + a.y * b.z - a.z * b.y,
+            y: a.y * b.w + a.w * b.y + a.z * b.x - a.x * b.z,
+            z: a.z * b.w + a.w * b.z + a.x * b.y - a.y * b.x,
+            w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+        };
+    }
+
+    function rotateVector(v, q) {
+        // v + 2w(q×v) + 2q×(q×v)
+        const tx = 2 * (q.y * v.z - q.z * v.y);
+        const ty = 2 * (q.z * v.x - q.x * v.z);
+        const tz = 2 * (q.x * v.y - q.y * v.x);
+        return {
+            x: v.x + q.w * tx + q.y * tz - q.z * ty,
+            y: v.y + q.w * ty + q.z * tx - q.x * tz,
+            z: v.z + q.w * tz + q.x * ty - q.y * tx
+        };
+    }
+
+    // Point given in a rest pose's local frame
+    const toLocal = (point, pose) => rotateVector(subtract(point, pose.position), invert(pose.quaternion));
+
+    // Shortest rotation taking unit vector a onto unit vector b
+    function rotationBetween(a, b) {
+        const d = a.x * b.x + a.y * b.y + a.z * b.z;
+        if (d > 1 - 1e-9) {
+            return { x: 0, y: 0, z: 0, w: 1 };
+        }
+        if (d < -1 + 1e-9) {
+            // Half turn around any axis perpendicular to a
+            const axis = Math.abs(a.x) < 0.9 ? { x: 0, y: -a.z, z: a.y } : { x: a.z, y: 0, z: -a.x };
+            const length = Math.hypot(axis.x, axis.y, axis.z);
+            return { x: axis.x / length, y: axis.y / length, z: axis.z / length, w: 0 };
+        }
+        const q = { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x, w: 1 + d };
+        const length = Math.hypot(q.x, q.y, q.z, q.w);
+        return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+    }
+
+    const toRadians = degrees => degrees * Math.PI / 180;
+
+    // Smallest half-size of a rig shape - how far it can move in a step before it may skip past something
+    function getShapeThickness(shape) {
+        switch (shape.type) {
+            case 'box':
+            case 'cylinder':
+                return Math.min(...shape.halfExtents);
+            case 'capsule':
+            case 'sphere':
+                return shape.radius;
+            case 'convexHull':
+                return Math.min(...[0, 1, 2].map(axis => {
+                    const values = shape.points.map(point => point[axis]);
+                    return (Math.max(...values) - Math.min(...values)) / 2;
+                }));
+            default:
+                throw new Error(`❌ CRITICAL: Unknown shape type "${shape.type}"`);
+        }
+    }
+
+    // How deep the body origin sits inside its shape - Bullet sweeps the CCD sphere around the origin, so the
+    // sphere must fit there. Only a placed capsule differs from its thickness; other shapes sit centered
+    function getOriginDepth(shape) {
+        if (shape.type !== 'capsule' || (!shape.center && !shape.axis)) {
+            return getShapeThickness(shape);
+        }
+
+        const center = vec(shape.center || [0, 0, 0]);
+        const axis = normalize(vec(shape.axis || [0, 1, 0]));
+        const halfHeight = shape.height / 2;
+        const along = Math.max(-halfHeight, Math.min(halfHeight, -(center.x * axis.x + center.y * axis.y + center.z * axis.z)));
+        const nearest = add(center, { x: axis.x * along, y: axis.y * along, z: axis.z * along });
+        return Math.max(0, shape.radius - Math.hypot(nearest.x, nearest.y, nearest.z));
+    }
+
+    // Group and mask bits from a rig's { group, mask } names; fallback when the rig doesn't say
+    function getCollisionFilter(collision, fallback) {
+        if (!collision) return fallback;
+
+        const bits = names => [].concat(names || []).reduce((mask, name) => {
+            if (!(name in COLLISION_GROUPS)) {
+                throw new Error(`❌ CRITICAL: Unknown collision group "${name}"`);
+            }
+            return mask | COLLISION_GROUPS[name];
+        }, 0);
+        return { group: bits(collision.group), mask: bits(collision.mask) };
+    }
+
+    function validateRig(rig) {
+        if (!rig || !rig.anchor || !rig.torso || !rig.limbs) {
+            throw new Error('❌ CRITICAL: Rig description needs anchor, torso and limbs!');
+        }
+        if (rig.version !== undefined && rig.version !== RIG_VERSION) {
+            throw new Error(`❌ CRITICAL: Unsupported rig version ${rig.version}`);
+        }
+    }
+
+    // One simulated toy: its own Ammo world, bodies and joints
+    // Rig moved by an offset ({x, y, z}) - every world position shifts, shapes stay in their body's frame
+    function placeRig(rig, offset) {
+        const move = position => [position[0] + offset.x, position[1] + offset.y, position[2] + offset.z];
+        const limbs = {};
+        Object.keys(rig.limbs).forEach(name => {
+            const limb = rig.limbs[name];
+            limbs[name] = { ...limb, position: move(limb.position), ...(limb.joint ? { joint: move(limb.joint) } : {}) };
+        });
+
+        return {
+            ...rig,
+            anchor: { ...rig.anchor, position: move(rig.anchor.position) },
+            torso: { ...rig.torso, position: move(rig.torso.position) },
+            panels: (rig.panels || []).map(panel => ({ ...panel, position: move(panel.position) })),
+            limbs
+        };
+    }
+
+    // World the toys live in, with the floor. A toy on its own gets one from createToyPhysics; toys built
+    // into the same world (createToyPhysics options.world) share the floor and their limbs hit each other
+    // options: { floor } - FLOOR_SETTINGS by default, null for none
+    function createPhysicsWorld(AmmoLib, options = {}) {
+        if (!AmmoLib) {
+            throw new Error('AmmoLib not initialized');
+        }
+
+        const floorSettings = options.floor === undefined ? FLOOR_SETTINGS : options.floor;
+
+        // Create collision configuration and dispatcher
+        const collisionConfig = new AmmoLib.btDefaultCollisionConfiguration();
+        const dispatcher = new AmmoLib.btCollisionDispatcher(collisionConfig);
+
+        // Create broadphase - AxisSweep3 for better dynamic collision detection
+        const worldMin = new AmmoLib.btVector3(-100, -100, -100);
+        const worldMax = new AmmoLib.btVector3(100, 100, 100);
+        const broadphase = new AmmoLib.btAxisSweep3(worldMin, worldMax);
+        AmmoLib.destroy(worldMin);
+        AmmoLib.destroy(worldMax);
+
+        const solver = new AmmoLib.btSequentialImpulseConstraintSolver();
+        const world = new AmmoLib.btDiscreteDynamicsWorld(dispatcher, broadphase, solver, collisionConfig);
+
+        // No gravity until a toy is built and held by its joints
+        const noGravity = new AmmoLib.btVector3(0, 0, 0);
+        world.setGravity(noGravity);
+        AmmoLib.destroy(noGravity);
+
+        const physicsWorld = {
+            world,
+            floor: null,
+            toys: []        // Toys built into this world, in the order they were added
+        };
+
+        // FLOOR - static ground plane that torn-off limbs and a dropped toy land on
+        function createFloor() {
+            const { y, friction, restitution } = floorSettings;
+
+            const normal = new AmmoLib.btVector3(0, 1, 0);
+            const shape = new AmmoLib.btStaticPlaneShape(normal, y);
+            AmmoLib.destroy(normal);
+
+            const transform = new AmmoLib.btTransform();
+            transform.setIdentity();
+            const motionState = new AmmoLib.btDefaultMotionState(transform);
+            const noInertia = new AmmoLib.btVector3(0, 0, 0);
+            const rbInfo = new AmmoLib.btRigidBodyConstructionInfo(0, motionState, shape, noInertia);
+            const body = new AmmoLib.btRigidBody(rbInfo);
+            [rbInfo, noInertia, transform].forEach(object => AmmoLib.destroy(object));
+            body.setFriction(friction);
+            body.setRestitution(restitution);
+
+            world.addRigidBody(body, GROUP_FLOOR, GROUP_LIMB | GROUP_TORSO_PART);
+            physicsWorld.floor = body;
+        }
+
+        // One solver for every toy in the world - the most demanding of their modes
+        function applySolverSettings() {
+            if (physicsWorld.toys.length === 0) return;
+
+            const settings = physicsWorld.toys
+                .map(toy => SOLVER_SETTINGS[toy.mode])
+                .reduce((most, next) => next.iterations > most.iterations ? next : most);
+            const solverInfo = world.getSolverInfo();
+            solverInfo.m_numIterations = settings.iterations;
+            solverInfo.m_erp = settings.erp;
+            solverInfo.m_erp2 = settings.erp2;
+            solverInfo.m_globalCfm = settings.cfm;
+        }
+
+        // Advance every toy in the world by dt seconds (one fixed step)
+        function step(dt = PHYSICS_STEP, substeps = PHYSICS_SUBSTEPS) {
+            world.stepSimulation(dt, substeps, dt / substeps);
+            physicsWorld.toys.forEach(toy => toy.checkTunneling());
+        }
+
+        // Free the world and the floor - destroy the toys in it first
+        function destroy() {
+            if (physicsWorld.floor) {
+                world.removeRigidBody(physicsWorld.floor);
+                AmmoLib.destroy(physicsWorld.floor.getMotionState());
+                AmmoLib.destroy(physicsWorld.floor.getCollisionShape());
+                AmmoLib.destroy(physicsWorld.floor);
+                physicsWorld.floor = null;
+            }
+
+            [world, solver, broadphase, dispatcher, collisionConfig].forEach(object => AmmoLib.destroy(object));
+        }
+
+        if (floorSettings) {
+            createFloor();
+        }
+
+        return Object.assign(physicsWorld, { applySolverSettings, step, destroy });
+    }
+
+    // One toy - its bodies, joints and spin control - in a world of its own, or built into a shared one
+    // options: { mode, world (from createPhysicsWorld), position ({x, y, z} the rig is moved by), floor
+    // (for a world of its own, see createPhysicsWorld) }
+    function createToyPhysics(AmmoLib, options = {}) {
+        if (!AmmoLib) {
+            throw new Error('AmmoLib not initialized');
+        }
+
+        const ownsWorld = !options.world;
+        const physicsWorld = options.world || createPhysicsWorld(AmmoLib, { floor: options.floor });
+        const { world } = physicsWorld;
+
+        const toy = {
+            world,
+            physicsWorld,
+            mode: options.mode === 'elastic' ? 'elastic' : 'hinge',
+            position: options.position || null, // Offset of the rig in the world
+            bodies: {},
+            constraints: {},
+            rest: {},       // Rest poses: { anchor, torso, leftArm, ..., joints: { leftArm: {x, y, z} } }
+            filters: {},    // Collision { group, mask } per body, for re-adding bodies to the world
+            joints: {},     // Per-limb joint settings from the rig (see getJointSettings)
+            torsoParts: [], // Names of the torso's compound child shapes, in child index order
+            ccd: {},        // CCD per dynamic body: { thickness, motionThreshold, sweptSphereRadius }
+            tunneling: { events: 0, byBody: {}, deepest: 0 }, // Diagnostics, see checkTunneling (deepest: any limb contact)
+            rig: null
+        };
+        const { bodies, constraints, rest, filters, joints } = toy;
+        const tmpTrans = new AmmoLib.btTransform();
+        const tmpVec = new AmmoLib.btVector3(0, 0, 0);
+        const tmpQuat = new AmmoLib.btQuaternion(0, 0, 0, 1);
+        const childShapes = []; // Shapes inside compounds, freed with the toy
+        const bodyNames = new Map(); // Body pointer → name, for contacts
+        let deepContacts = new Set(); // Body pairs in a tunneling-deep contact after the last step
+        let motorSpeed = null; // Speed (rad/s) the spin motor is ramping the stick towards; null while it is off
+
+        // The floor belongs to the world - shared with the other toys in it
+        physicsWorld.toys.push(toy);
+        if (physicsWorld.floor) {
+            bodies.floor = physicsWorld.floor;
+        }
+
+        function setTransform(transform, position, quaternion) {
+            transform.setIdentity();
+            tmpVec.setValue(position.x, position.y, position.z);
+            transform.setOrigin(tmpVec);
+            tmpQuat.setValue(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            transform.setRotation(tmpQuat);
+            return transform;
+        }
+
+        // A localInertia passed in stays the caller's to free
+        function createBody(mass, shape, position, quaternion, localInertia = null) {
+            const transform = setTransform(new AmmoLib.btTransform(), position, quaternion);
+            const motionState = new AmmoLib.btDefaultMotionState(transform);
+            const inertia = localInertia || new AmmoLib.btVector3(0, 0, 0);
+            const rbInfo = new AmmoLib.btRigidBodyConstructionInfo(mass, motionState, shape, inertia);
+            const body = new AmmoLib.btRigidBody(rbInfo);
+            AmmoLib.destroy(rbInfo);
+            if (!localInertia) {
+                AmmoLib.destroy(inertia);
+            }
+            return { body, transform };
+        }
+
+        // Collision shape from a rig shape description
+        function createShape(shape) {
+            switch (shape.type) {
+                case 'box': {
+                    const halfExtents = new AmmoLib.btVector3(...shape.halfExtents);
+                    const box = new AmmoLib.btBoxShape(halfExtents);
+                    AmmoLib.destroy(halfExtents);
+                    return box;
+                }
+                case 'capsule': {
+                    const capsule = new AmmoLib.btCapsuleShape(shape.radius, shape.height);
+                    if (!shape.center && !shape.axis) return capsule;
+
+                    // Off-center or tilted: a compound keeps the body in the part's own frame
+                    const compound = new AmmoLib.btCompoundShape();
+                    const childTransform = setTransform(
+                        new AmmoLib.btTransform(),
+                        vec(shape.center || [0, 0, 0]),
+                        rotationBetween({ x: 0, y: 1, z: 0 }, normalize(vec(shape.axis || [0, 1, 0])))
+                    );
+                    compound.addChildShape(childTransform, capsule);
+                    childShapes.push(capsule);
+                    AmmoLib.destroy(childTransform);
+                    return compound;
+                }
+                case 'convexHull':
+                    return createHullShape(shape);
+                case 'sphere':
+                    return new AmmoLib.btSphereShape(shape.radius);
+                case 'cylinder': {
+                    const halfExtents = new AmmoLib.btVector3(...shape.halfExtents);
+                    const cylinder = new AmmoLib.btCylinderShape(halfExtents);
+                    AmmoLib.destroy(halfExtents);
+                    return cylinder;
+                }
+                default:
+                    throw new Error(`❌ CRITICAL: Unknown shape type "${shape.type}"`);
+            }
+        }
+
+        // Convex hull around the points; simplify reduces it to Bullet's btShapeHull approximation
+        function createHullShape({ points, simplify = false, margin }) {
+            let hull = new AmmoLib.btConvexHullShape();
+            points.forEach((point, i) => {
+                tmpVec.setValue(point[0], point[1], point[2]);
+                hull.addPoint(tmpVec, i === points.length - 1);
+            });
+
+            if (simplify) {
+                // Sampled without margin so the simplified vertices sit on the points' own surface
+                hull.setMargin(0);
+                const shapeHull = new AmmoLib.btShapeHull(hull);
+                shapeHull.buildHull(0);
+
+                // Hull vertices are a btVector3 array (16 bytes each)
+                const simplified = new AmmoLib.btConvexHullShape();
+                const base = AmmoLib.getPointer(shapeHull.getVertexPointer());
+                const count = shapeHull.numVertices();
+                for (let i = 0; i < count; i++) {
+                    simplified.addPoint(AmmoLib.wrapPointer(base + i * 16, AmmoLib.btVector3), i === count - 1);
+                }
+
+                AmmoLib.destroy(shapeHull);
+                AmmoLib.destroy(hull);
+                hull = simplified;
+            }
+
+            if (margin !== undefined) {
+                hull.setMargin(margin);
+            }
+            return hull;
+        }
+
+        // Local inertia of a shape for a mass - a placed capsule's own inertia turned into the body frame, plus
+        // the parallel-axis term for its offset from the body origin (diagonal part, as Bullet keeps), so a limb
+        // swings like the rod it is. btCompoundShape's own bounding-box estimate is not used
+        function calculateInertia(spec, shape, mass) {
+            const localInertia = new AmmoLib.btVector3(0, 0, 0);
+            if (spec.type !== 'capsule' || (!spec.center && !spec.axis)) {
+                shape.calculateLocalInertia(mass, localInertia);
+                return localInertia;
+            }
+
+            const capsule = new AmmoLib.btCapsuleShape(spec.radius, spec.height);
+            capsule.calculateLocalInertia(mass, localInertia);
+            AmmoLib.destroy(capsule);
+
+            const radial = localInertia.x();
+            const axial = localInertia.y();
+            const u = normalize(vec(spec.axis || [0, 1, 0]));
+            const c = vec(spec.center || [0, 0, 0]);
+            localInertia.setValue(
+                radial + (axial - radial) * u.x * u.x + mass * (c.y * c.y + c.z * c.z),
+                radial + (axial - radial) * u.y * u.y + mass * (c.x * c.x + c.z * c.z),
+                radial + (axial - radial) * u.z * u.z + mass * (c.x * c.x + c.y * c.y)
+            );
+            return localInertia;
+        }
+
+        // Add a body to the world with its collision filter from the rig
+        function addBody(name) {
+            const { group, mask } = filters[name];
+            world.addRigidBody(bodies[name], group, mask);
+        }
+
+        // Solver for this toy's mode (and the other toys' in a shared world, see createPhysicsWorld)
+        function applySolverSettings() {
+            physicsWorld.applySolverSettings();
+        }
+
+        // New Toy ('hinge') or Old Toy ('elastic') - joints built afterwards use the new mode
+        function setMode(mode) {
+            toy.mode = mode === 'elastic' ? 'elastic' : 'hinge';
+            applySolverSettings();
+        }
+
+        function getModeDamping() {
+            return MODE_DAMPING[toy.mode];
+        }
+
+        // Apply per-mode damping to torso and limbs
+        function applyModeDamping() {
+            const damping = getModeDamping();
+
+            if (bodies.torso) {
+                bodies.torso.setDamping(damping.torso[0], damping.torso[1]);
+            }
+
+            LIMB_NAMES.forEach(name => {
+                if (bodies[name]) {
+                    bodies[name].setDamping(damping.limb[0], damping.limb[1]);
+                }
+            });
+        }
+
+        // Anchor, torso, torso part colliders, limbs, spin hinge and pivot colliders from a rig description
+        // (moved to the toy's position). Limb joints are left to createLimbJoint(s), so callers decide how
+        // each limb is held
+        function buildToy(description) {
+            validateRig(description);
+            const rig = toy.position ? placeRig(description, toy.position) : description;
+            toy.rig = rig;
+
+            // ANCHOR BODY - kinematic, aligned to the spin pivot; it stays put unless moveAnchor() carries it
+            {
+                const position = vec(rig.anchor.position);
+                const quaternion = { x: 0, y: 0, z: 0, w: 1 };
+                const { body, transform } = createBody(0, new AmmoLib.btSphereShape(0.1), position, quaternion);
+                body.setCollisionFlags(body.getCollisionFlags() | 2); // CF_KINEMATIC_OBJECT
+                body.setActivationState(4); // DISABLE_DEACTIVATION
+
+                world.addRigidBody(body, GROUP_TORSO, GROUP_TORSO);
+                bodies.anchor = body;
+                rest.anchor = { position, quaternion, transform };
+            }
+
+            // DYNAMIC TORSO BODY - collides through its parts (see createTorsoShape); rig.torso.shape sets
+            // mass and inertia, and is only the collision shape of a toy without parts
+            {
+                const { mass, inertiaScale } = rig.torso;
+                const position = vec(rig.torso.position);
+                const quaternion = quat(rig.torso.quaternion);
+
+                let shape = createShape(rig.torso.shape);
+                const localInertia = calculateInertia(rig.torso.shape, shape, mass);
+
+                // Scaled inertia: easy spinning around Y, moderate resistance to tipping
+                if (inertiaScale) {
+                    localInertia.setX(localInertia.x() * inertiaScale[0]);
+                    localInertia.setY(localInertia.y() * inertiaScale[1]);
+                    localInertia.setZ(localInertia.z() * inertiaScale[2]);
+                }
+
+                const parts = createTorsoShape(rig, { position, quaternion });
+                if (toy.torsoParts.length > 0) {
+                    AmmoLib.destroy(shape);
+                    shape = parts;
+                } else {
+                    AmmoLib.destroy(parts);
+                }
+
+                const { body, transform } = createBody(mass, shape, position, quaternion, localInertia);
+                AmmoLib.destroy(localInertia);
+                body.setActivationState(4); // DISABLE_DEACTIVATION
+                body.setFriction(WOOD_SETTINGS.friction);
+                body.setRestitution(WOOD_SETTINGS.restitution);
+                enableCcd('torso', body, rig.torso.shape); // Swept sphere sized from the torso core, inside its parts
+
+                // Parts collide like torso parts, with limbs and the floor; a bare torso shape collides with nothing by default
+                bodies.torso = body;
+                filters.torso = getCollisionFilter(rig.torso.collision, toy.torsoParts.length > 0
+                    ? { group: GROUP_TORSO_PART, mask: GROUP_LIMB | GROUP_FLOOR }
+                    : { group: GROUP_TORSO, mask: 0 });
+                addBody('torso');
+                rest.torso = { position, quaternion, transform };
+
+                // Hanging string tie: top of the torso's bounds, straight above its origin so it hangs upright
+                const min = new AmmoLib.btVector3(0, 0, 0);
+                const max = new AmmoLib.btVector3(0, 0, 0);
+                body.getAabb(min, max);
+                rest.hangingTie = { x: position.x, y: max.y(), z: position.z };
+                AmmoLib.destroy(min);
+                AmmoLib.destroy(max);
+            }
+
+            // LIMBS - dynamic bodies (capsules for the wooden rods), jointed to their parent
+            rest.joints = {};
+            LIMB_NAMES.forEach(name => {
+                const limb = rig.limbs[name];
+                if (!limb) return;
+
+                const position = vec(limb.position);
+                const quaternion = quat(limb.quaternion);
+
+                const shape = createShape(limb.shape);
+                const localInertia = calculateInertia(limb.shape, shape, limb.mass);
+
+                const { body, transform } = createBody(limb.mass, shape, position, quaternion, localInertia);
+                AmmoLib.destroy(localInertia);
+                body.setActivationState(4); // DISABLE_DEACTIVATION - limbs stay active
+                body.setSleepingThresholds(0, 0); // Never sleep
+                body.setFriction(WOOD_SETTINGS.friction);
+                body.setRestitution(WOOD_SETTINGS.restitution); // Wood barely bounces
+                enableCcd(name, body, limb.shape);
+
+                bodies[name] = body;
+                filters[name] = getCollisionFilter(limb.collision, { group: GROUP_LIMB, mask: LIMB_COLLISION_MASK });
+                addBody(name);
+                rest[name] = { position, quaternion, transform };
+
+                // Joint falls back to the limb origin
+                rest.joints[name] = limb.joint ? vec(limb.joint) : { ...position };
+
+                // Swing axis and limits (world axis at rest, degrees) - world Z and the hinge defaults if not given
+                const limits = limb.limits ? limb.limits.map(toRadians) : [-HINGE_JOINT_SETTINGS.swing, HINGE_JOINT_SETTINGS.swing];
+                joints[name] = {
+                    parent: limb.parent || 'torso',
+                    axis: normalize(vec(limb.axis || [0, 0, 1])),
+                    lower: limits[0],
+                    upper: limits[1],
+                    stiffness: limb.stiffness === undefined ? ELASTIC_JOINT_SETTINGS.stiffness : limb.stiffness,
+                    stretch: limb.stretch === undefined ? ELASTIC_JOINT_SETTINGS.stretch : limb.stretch
+                };
+                if (!bodies[joints[name].parent]) {
+                    throw new Error(`❌ CRITICAL: ${name} is jointed to unknown part "${joints[name].parent}"`);
+                }
+            });
+
+            applySolverSettings();
+            applyModeDamping();
+
+            createSpinHinge();
+
+            Object.keys(bodies).forEach(name => bodyNames.set(AmmoLib.getPointer(bodies[name]), name));
+            tmpVec.setValue(0, -9.8, 0);
+            world.setGravity(tmpVec);
+            return toy;
+        }
+
+        // CCD sized from the body's shape (see CCD_SETTINGS) - Bullet only sweeps bodies moving past the threshold
+        function enableCcd(name, body, shapeSpec) {
+            const thickness = getShapeThickness(shapeSpec);
+            const motionThreshold = thickness * CCD_SETTINGS.motionThreshold;
+            const sweptSphereRadius = Math.min(thickness, getOriginDepth(shapeSpec)) * CCD_SETTINGS.sweptSphereRadius;
+            body.setCcdMotionThreshold(motionThreshold);
+            body.setCcdSweptSphereRadius(sweptSphereRadius);
+            toy.ccd[name] = { thickness, motionThreshold, sweptSphereRadius };
+        }
+
+        // Tunneling diagnostics, after every step: a limb contact that has become deeper than TUNNELING_DEPTH ×
+        // the limb's thickness counts once, until it is shallow again
+        function checkTunneling() {
+            const { tunneling } = toy;
+            const dispatcher = world.getDispatcher();
+            const deep = new Set();
+
+            for (let i = 0; i < dispatcher.getNumManifolds(); i++) {
+                const manifold = dispatcher.getManifoldByIndexInternal(i);
+                let depth = 0;
+                for (let j = 0; j < manifold.getNumContacts(); j++) {
+                    depth = Math.max(depth, -manifold.getContactPoint(j).getDistance());
+                }
+                if (depth <= 0) continue;
+
+                const pair = [manifold.getBody0(), manifold.getBody1()].map(body => bodyNames.get(AmmoLib.getPointer(body)) || 'otherToy');
+                pair.forEach(name => {
+                    if (!LIMB_NAMES.includes(name)) return;
+                    tunneling.deepest = Math.max(tunneling.deepest, depth);
+                    if (depth <= toy.ccd[name].thickness * TUNNELING_DEPTH) return;
+
+                    const key = pair.join('/');
+                    if (!deepContacts.has(key)) {
+                        tunneling.events++;
+                        tunneling.byBody[name] = (tunneling.byBody[name] || 0) + 1;
+                    }
+                    deep.add(key);
+                });
+            }
+
+            deepContacts = deep;
+        }
+
+        // ANCHOR ↔ TORSO HINGE - free rotation around world Y through the torso center
+        function createSpinHinge() {
+            const yAxis = new AmmoLib.btVector3(0, 1, 0);
+            const origin = new AmmoLib.btVector3(0, 0, 0);
+
+            constraints.spinHinge = new AmmoLib.btHingeConstraint(
+                bodies.anchor,
+                bodies.torso,
+                origin,     // pivotA: anchor origin
+                origin,     // pivotB: torso center
+                yAxis,      // axisA
+                yAxis,      // axisB
+                true        // useReferenceFrameA
+            );
+
+            // No angle limit (lower above upper) - the toy turns freely on the stick, and the motor is only
+            // effective on an unlimited hinge (Bullet turns it off when both limits are the same angle, as ±2π are)
+            constraints.spinHinge.setLimit(1, -1, 0.1, 0.1, 1.0);
+            constraints.spinHinge.enableAngularMotor(false, 0, 0);
+            motorSpeed = null;
+
+            AmmoLib.destroy(yAxis);
+            AmmoLib.destroy(origin);
+
+            world.addConstraint(constraints.spinHinge, true);
+        }
+
+        // Let the toy off its stick - it falls free until createSpinHinge() holds it again, which expects
+        // the torso back at the anchor (the hinge pulls its origin onto the anchor)
+        function destroySpinHinge() {
+            const hinge = constraints.spinHinge;
+            if (!hinge) return;
+
+            world.removeConstraint(hinge);
+            AmmoLib.destroy(hinge);
+            delete constraints.spinHinge;
+        }
+
+        // HANGING STRING - hanger ↔ segments ↔ torso, ball joints all the way down (see HANGING_STRING_SETTINGS)
+        // The rope starts straight up from the tie on the torso as it is now; the hanger sits at its top
+        function createHangingString() {
+            if (constraints.hangingStringTie) return;
+
+            const { length, segments, segmentMass, damping } = HANGING_STRING_SETTINGS;
+            const segmentLength = length / segments;
+            const torsoPose = getPose('torso');
+            const tieOnTorso = toLocal(rest.hangingTie, rest.torso);
+            const tie = add(torsoPose.position, rotateVector(tieOnTorso, torsoPose.quaternion));
+            const upright = { x: 0, y: 0, z: 0, w: 1 };
+
+            {
+                const { body } = createBody(0, new AmmoLib.btSphereShape(0.05), { x: tie.x, y: tie.y + length, z: tie.z }, upright);
+                body.setCollisionFlags(body.getCollisionFlags() | 2); // CF_KINEMATIC_OBJECT
+                body.setActivationState(4); // DISABLE_DEACTIVATION
+                world.addRigidBody(body, 0, 0); // The string collides with nothing
+                bodies.hanger = body;
+            }
+
+            // Segment inertia of a ball around it - a thin rod spins too easily about its own axis to stay stable
+            const inertiaShape = new AmmoLib.btSphereShape(segmentLength / 2);
+            const localInertia = new AmmoLib.btVector3(0, 0, 0);
+            inertiaShape.calculateLocalInertia(segmentMass, localInertia);
+            AmmoLib.destroy(inertiaShape);
+
+            const pivotA = new AmmoLib.btVector3(0, 0, 0);
+            const pivotB = new AmmoLib.btVector3(0, segmentLength / 2, 0);
+            let upper = bodies.hanger;
+            HANGING_STRING_SEGMENTS.forEach((name, i) => {
+                const center = { x: tie.x, y: tie.y + length - (i + 0.5) * segmentLength, z: tie.z };
+                const shape = new AmmoLib.btCapsuleShape(0.02, segmentLength);
+                const { body } = createBody(segmentMass, shape, center, upright, localInertia);
+                body.setActivationState(4);
+                body.setDamping(damping[0], damping[1]);
+                world.addRigidBody(body, 0, 0);
+                bodies[name] = body;
+
+                constraints[name] = new AmmoLib.btPoint2PointConstraint(upper, body, pivotA, pivotB);
+                world.addConstraint(constraints[name], true);
+                pivotA.setValue(0, -segmentLength / 2, 0);
+                upper = body;
+            });
+            AmmoLib.destroy(localInertia);
+
+            pivotB.setValue(tieOnTorso.x, tieOnTorso.y, tieOnTorso.z);
+            constraints.hangingStringTie = new AmmoLib.btPoint2PointConstraint(upper, bodies.torso, pivotA, pivotB);
+            world.addConstraint(constraints.hangingStringTie, true);
+
+            AmmoLib.destroy(pivotA);
+            AmmoLib.destroy(pivotB);
+        }
+
+        // Cut the string - the toy falls free, and the string and its hanger are gone
+        function destroyHangingString() {
+            ['hangingStringTie', ...HANGING_STRING_SEGMENTS].forEach(name => {
+                if (!constraints[name]) return;
+                world.removeConstraint(constraints[name]);
+                AmmoLib.destroy(constraints[name]);
+                delete constraints[name];
+            });
+
+            ['hanger', ...HANGING_STRING_SEGMENTS].forEach(name => {
+                const body = bodies[name];
+                if (!body) return;
+                world.removeRigidBody(body);
+                AmmoLib.destroy(body.getMotionState());
+                AmmoLib.destroy(body.getCollisionShape());
+                AmmoLib.destroy(body);
+                delete bodies[name];
+            });
+        }
+
+        // Move the hanger (kinematic - Bullet gives it the velocity of the move for the joints)
+        function moveHanger(position) {
+            const hanger = bodies.hanger;
+            if (!hanger) return;
+
+            setTransform(tmpTrans, position, { x: 0, y: 0, z: 0, w: 1 });
+            hanger.getMotionState().setWorldTransform(tmpTrans);
+        }
+
+        // Carry the stick: the kinematic anchor goes to position, tilted by quaternion. Like the hanger it moves
+        // through its motion state, so Bullet gives it the velocity of the move and the spin hinge drags the toy along
+        function moveAnchor(position, quaternion = { x: 0, y: 0, z: 0, w: 1 }) {
+            const anchor = bodies.anchor;
+            if (!anchor) return;
+
+            setTransform(tmpTrans, position, quaternion);
+            anchor.getMotionState().setWorldTransform(tmpTrans);
+        }
+
+        // GRAB - hold a body at a point in its own frame and pull that point towards target (world) until
+        // releaseGrab(); one body at a time
+        function grabBody(name, localPoint, target) {
+            const body = bodies[name];
+            if (!body) return false;
+            releaseGrab();
+
+            const pivot = new AmmoLib.btVector3(localPoint.x, localPoint.y, localPoint.z);
+            const grab = new AmmoLib.btPoint2PointConstraint(body, pivot);
+            AmmoLib.destroy(pivot);
+
+            const setting = grab.get_m_setting();
+            setting.set_m_tau(GRAB_SETTINGS.tau);
+            setting.set_m_damping(GRAB_SETTINGS.damping);
+            setting.set_m_impulseClamp(GRAB_SETTINGS.impulseClamp);
+
+            constraints.grab = grab;
+            world.addConstraint(grab, true);
+            body.forceActivationState(4); // DISABLE_DEACTIVATION - a sleeping body wakes in the hand
+            moveGrab(target);
+            return true;
+        }
+
+        function moveGrab(target) {
+            const grab = constraints.grab;
+            if (!grab) return;
+
+            tmpVec.setValue(target.x, target.y, target.z);
+            grab.setPivotB(tmpVec);
+        }
+
+        function releaseGrab() {
+            const grab = constraints.grab;
+            if (!grab) return;
+
+            world.removeConstraint(grab);
+            AmmoLib.destroy(grab);
+            delete constraints.grab;
+        }
+
+        // TORSO PARTS - the panels and a small sphere at each limb joint, as children of one compound shape
+        // in the torso's frame. They move with the torso body itself, velocity and all, so limbs get proper
+        // contacts instead of hitting colliders that are teleported after every step
+        function createTorsoShape(rig, torsoPose) {
+            const compound = new AmmoLib.btCompoundShape();
+            const childTransform = new AmmoLib.btTransform();
+            const toTorso = invert(torsoPose.quaternion);
+
+            const addPart = (name, shape, position, quaternion) => {
+                setTransform(childTransform, toLocal(position, torsoPose), multiplyQuaternions(toTorso, quaternion));
+                compound.addChildShape(childTransform, shape);
+                childShapes.push(shape);
+                toy.torsoParts.push(name);
+            };
+
+            (rig.panels || []).forEach(({ name, position, quaternion, shape }) => {
+                addPart(name, createShape(shape), vec(position), quat(quaternion));
+            });
+
+            // Pivot spheres keep limbs from sliding into the torso
+            LIMB_NAMES.forEach(limb => {
+                const limbRig = rig.limbs[limb];
+                if (!limbRig) return;
+                const joint = vec(limbRig.joint || limbRig.position);
+                addPart(PIVOT_COLLIDERS[limb], new AmmoLib.btSphereShape(PIVOT_COLLIDER_RADIUS), joint, { x: 0, y: 0, z: 0, w: 1 });
+            });
+
+            AmmoLib.destroy(childTransform);
+            return compound;
+        }
+
+        // Joint settings for a limb: { parent, axis, lower, upper (radians), stiffness, stretch }
+        function getJointSettings(name) {
+            return joints[name] || null;
+        }
+
+        // Build a spring joint between parent and limb (btGeneric6DofSpringConstraint)
+        // Frames carry the joint pivot with Z along the swing axis, like the hinge
+        function createElasticLimbJoint(name, parentBody, body, frameInA, frameInB) {
+            const settings = joints[name];
+            if (!settings) {
+                throw new Error(`❌ CRITICAL: No joint settings for ${name}!`);
+            }
+
+            const joint = new AmmoLib.btGeneric6DofSpringConstraint(
+                parentBody,
+                body,
+                frameInA,
+                frameInB,
+                true // useLinearReferenceFrameA - stretch measured in the parent's space
+            );
+
+            // Linear limits: room to stretch in the swing plane, very little in depth
+            const stretch = settings.stretch;
+            const depth = ELASTIC_JOINT_SETTINGS.depthStretch;
+            const limit = new AmmoLib.btVector3(-stretch, -stretch, -depth);
+            joint.setLinearLowerLimit(limit);
+            limit.setValue(stretch, stretch, depth);
+            joint.setLinearUpperLimit(limit);
+
+            // Angular limits: free swing around the axis, small wobble off it
+            const wobble = ELASTIC_JOINT_SETTINGS.wobble;
+            const swing = ELASTIC_JOINT_SETTINGS.swing;
+            limit.setValue(-wobble, -wobble, -swing);
+            joint.setAngularLowerLimit(limit);
+            limit.setValue(wobble, wobble, swing);
+            joint.setAngularUpperLimit(limit);
+            AmmoLib.destroy(limit); // Limits are copied into the constraint
+
+            // Springs: 0-2 linear (stretch), 3-4 angular (wobble). Swing (5) stays free like a hinge
+            for (let i = 0; i < 3; i++) {
+                joint.enableSpring(i, true);
+                joint.setStiffness(i, settings.stiffness);
+                joint.setDamping(i, ELASTIC_JOINT_SETTINGS.linearDamping);
+            }
+            for (let i = 3; i < 5; i++) {
+                joint.enableSpring(i, true);
+                joint.setStiffness(i, ELASTIC_JOINT_SETTINGS.wobbleStiffness);
+                joint.setDamping(i, ELASTIC_JOINT_SETTINGS.wobbleDamping);
+            }
+
+            // Rest length = current pose (limb sits exactly on its pivot at creation)
+            joint.setEquilibriumPoint();
+
+            return joint;
+        }
+
+        // Build one limb joint from the rest pose - using the rest pose (not the current one)
+        // lets joints be rebuilt at any time
+        // type: 'hinge' (New Toy pin), 'elastic' (Old Toy spring) or 'ball' (pin gone, limb hangs loose)
+        function createLimbJoint(name, type = toy.mode) {
+            const body = bodies[name];
+            const settings = joints[name];
+            const parentBody = settings && bodies[settings.parent];
+            const parentRest = settings && rest[settings.parent];
+            const limbRest = rest[name];
+            const jointWorld = rest.joints && rest.joints[name];
+
+            if (!body || !parentBody || !parentRest || !limbRest || !jointWorld) {
+                throw new Error(`❌ CRITICAL: ${name} body or rest pose missing - cannot create limb constraint!`);
+            }
+
+            // Express joint pivot and swing axis in each body's local frame
+            const parentInverse = invert(parentRest.quaternion);
+            const limbInverse = invert(limbRest.quaternion);
+            const localPivotA = toLocal(jointWorld, parentRest);
+            const localPivotB = toLocal(jointWorld, limbRest);
+
+            const pivotA = new AmmoLib.btVector3(localPivotA.x, localPivotA.y, localPivotA.z);
+            const pivotB = new AmmoLib.btVector3(localPivotB.x, localPivotB.y, localPivotB.z);
+
+            let joint;
+            if (type === 'ball') {
+                joint = new AmmoLib.btPoint2PointConstraint(parentBody, body, pivotA, pivotB);
+            } else if (type === 'elastic') {
+                // Frame Z along the swing axis (world Z needs no turn)
+                const axisFrame = rotationBetween({ x: 0, y: 0, z: 1 }, settings.axis);
+                const frameA = multiplyQuaternions(parentInverse, axisFrame);
+                const frameB = multiplyQuaternions(limbInverse, axisFrame);
+
+                const frameInA = new AmmoLib.btTransform();
+                const frameInB = new AmmoLib.btTransform();
+                const rotation = new AmmoLib.btQuaternion(frameA.x, frameA.y, frameA.z, frameA.w);
+                frameInA.setIdentity();
+                frameInA.setOrigin(pivotA);
+                frameInA.setRotation(rotation);
+                rotation.setValue(frameB.x, frameB.y, frameB.z, frameB.w);
+                frameInB.setIdentity();
+                frameInB.setOrigin(pivotB);
+                frameInB.setRotation(rotation);
+
+                joint = createElasticLimbJoint(name, parentBody, body, frameInA, frameInB);
+
+                AmmoLib.destroy(rotation);
+                AmmoLib.destroy(frameInA);
+                AmmoLib.destroy(frameInB);
+            } else {
+                // Hinge around the swing axis constrains movement to its plane
+                const localAxisA = rotateVector(settings.axis, parentInverse);
+                const localAxisB = rotateVector(settings.axis, limbInverse);
+                const axisA = new AmmoLib.btVector3(localAxisA.x, localAxisA.y, localAxisA.z);
+                const axisB = new AmmoLib.btVector3(localAxisB.x, localAxisB.y, localAxisB.z);
+
+                joint = new AmmoLib.btHingeConstraint(parentBody, body, pivotA, pivotB, axisA, axisB, true);
+
+                const { softness, bias, relaxation } = HINGE_JOINT_SETTINGS;
+                joint.setLimit(settings.lower, settings.upper, softness, bias, relaxation);
+
+                AmmoLib.destroy(axisA);
+                AmmoLib.destroy(axisB);
+            }
+
+            // Pivots are copied into the constraint frames
+            AmmoLib.destroy(pivotA);
+            AmmoLib.destroy(pivotB);
+
+            // Disable collisions between connected bodies
+            world.addConstraint(joint, false); // Limbs keep colliding with the torso parts
+            constraints[name] = joint;
+
+            return joint;
+        }
+
+        // Joints for every limb that has no joint yet, in the current mode
+        function createLimbJoints() {
+            LIMB_NAMES.forEach(name => {
+                if (bodies[name] && !constraints[name]) {
+                    createLimbJoint(name);
+                }
+            });
+        }
+
+        // Remove and free a limb joint (the spin hinge stays in place, see destroySpinHinge)
+        function destroyLimbJoint(name) {
+            const joint = constraints[name];
+            if (!joint) return;
+
+            world.removeConstraint(joint);
+            AmmoLib.destroy(joint);
+            delete constraints[name];
+        }
+
+        function destroyLimbJoints() {
+            LIMB_NAMES.forEach(destroyLimbJoint);
+        }
+
+        // Put a body back at its rest pose, at rest
+        function resetBody(name) {
+            const body = bodies[name];
+            const bodyRest = rest[name];
+            if (!body || !bodyRest) return;
+
+            // Center-of-mass transform also refreshes the world inertia; motion state too - poses are read from it
+            body.setCenterOfMassTransform(bodyRest.transform);
+            if (body.isKinematicObject()) {
+                // Bullet gives a kinematic body the velocity from its last pose to this one - set it twice so it arrives still
+                body.setCenterOfMassTransform(bodyRest.transform);
+            }
+            body.getMotionState().setWorldTransform(bodyRest.transform);
+            tmpVec.setValue(0, 0, 0);
+            body.setLinearVelocity(tmpVec);
+            body.setAngularVelocity(tmpVec);
+            body.clearForces();
+            body.setActivationState(1); // ACTIVE_TAG to wake up
+
+            if (name === 'torso') {
+                motorSpeed = null; // The motor starts again from the toy at rest
+            }
+        }
+
+        // Resting bodies stop being simulated until wakeUp(), or until something active hits them
+        function putToSleep(names) {
+            names.forEach(name => {
+                const body = bodies[name];
+                if (!body) return;
+                tmpVec.setValue(0, 0, 0);
+                body.setLinearVelocity(tmpVec);
+                body.setAngularVelocity(tmpVec);
+                body.forceActivationState(2); // ISLAND_SLEEPING
+            });
+        }
+
+        function wakeUp(names) {
+            names.forEach(name => {
+                if (bodies[name]) {
+                    bodies[name].forceActivationState(4); // DISABLE_DEACTIVATION, as built
+                }
+            });
+        }
+
+        // Current pose of a body from its motion state
+        function getPose(name) {
+            const body = bodies[name];
+            if (!body) return null;
+
+            body.getMotionState().getWorldTransform(tmpTrans);
+            const p = tmpTrans.getOrigin();
+            const q = tmpTrans.getRotation();
+            return {
+                position: { x: p.x(), y: p.y(), z: p.z() },
+                quaternion: { x: q.x(), y: q.y(), z: q.z(), w: q.w() }
+            };
+        }
+
+        // Point given in a body's rest frame, where it is now
+        function restPointToWorld(name, restPoint) {
+            const pose = getPose(name);
+            if (!pose || !rest[name]) return null;
+            return add(pose.position, rotateVector(toLocal(restPoint, rest[name]), pose.quaternion));
+        }
+
+        // Distance between the joint pivot as seen from the parent (the torso) and from the limb
+        function measureJointError(name) {
+            const jointWorld = rest.joints && rest.joints[name];
+            const parent = joints[name] && joints[name].parent;
+            if (!jointWorld || !bodies[parent] || !bodies[name]) return 0;
+
+            const onParent = restPointToWorld(parent, jointWorld);
+            const onLimb = restPointToWorld(name, jointWorld);
+            return Math.hypot(onParent.x - onLimb.x, onParent.y - onLimb.y, onParent.z - onLimb.z);
+        }
+
+        // Spin control: the stick's motor spins the toy up to speed while pressed, a drag turns it, a flick lets it
+        // spin on, and on release the motor brakes it while strong damping brings it to rest
+        // control: { spinning, direction (1 / -1), targetSpeed (rad/s, the mode's by default), drive (rad/s the
+        // stick is turned at by a drag, or null), coasting (released with momentum), limbs (in the world),
+        // attachedLimbs (held by a joint), stopLimbs }
+        function applySpinControl(control) {
+            const {
+                spinning = false,
+                direction = 1,
+                drive = null,
+                coasting = false,
+                limbs = LIMB_NAMES.filter(name => bodies[name]),
+                attachedLimbs = limbs.filter(name => constraints[name]),
+                stopLimbs = true
+            } = control;
+            const torso = bodies.torso;
+            const spin = SPIN_SETTINGS[toy.mode];
+            if (!torso || !constraints.spinHinge) return;
+
+            const targetSpeed = Math.min(spin.maxSpeed, Math.abs(control.targetSpeed ?? spin.targetSpeed));
+
+            const clampSpeed = maxSpeed => {
+                const angVel = torso.getAngularVelocity();
+                const speed = Math.sqrt(angVel.x() * angVel.x() + angVel.y() * angVel.y() + angVel.z() * angVel.z());
+                if (speed > maxSpeed) {
+                    const scale = maxSpeed / speed;
+                    tmpVec.setValue(angVel.x() * scale, angVel.y() * scale, angVel.z() * scale);
+                    torso.setAngularVelocity(tmpVec);
+                }
+            };
+
+            // The motor's speed ramps to the target at the acceleration (or deceleration) and never past it, starting from
+            // the toy's speed within limit. Each step of the ramp turns the whole toy, like a drag (torque on the torso
+            // alone whips it round inside its limbs and past the target), and the hinge motor holds the stick to it with up
+            // to maxTorque. Braking ramps to zero the same way, so the toy slows to a stop instead of swinging back
+            const runMotor = (target, limit) => {
+                if (motorSpeed === null) {
+                    motorSpeed = Math.max(-limit, Math.min(limit, getSpinSpeed()));
+                }
+                const speedingUp = Math.abs(target) > Math.abs(motorSpeed) && target * motorSpeed >= 0;
+                const maxChange = (speedingUp ? SPIN_SETTINGS.motorAcceleration : SPIN_SETTINGS.motorDeceleration) * PHYSICS_STEP;
+                const change = Math.max(-maxChange, Math.min(maxChange, target - motorSpeed));
+                motorSpeed += change;
+
+                // The toy only follows the ramp up to the motor's speed - one already past it isn't pushed further
+                const gap = motorSpeed - getSpinSpeed();
+                const toyChange = change > 0 ? Math.max(0, Math.min(change, gap)) : Math.min(0, Math.max(change, gap));
+                if (toyChange !== 0) {
+                    setSpinSpeed(getSpinSpeed() + toyChange, attachedLimbs);
+                }
+                constraints.spinHinge.enableAngularMotor(true, motorSpeed, spin.maxTorque * PHYSICS_STEP);
+            };
+            const stopMotor = () => {
+                motorSpeed = null;
+                constraints.spinHinge.enableAngularMotor(false, 0, 0);
+            };
+
+            if (drive !== null) {
+                stopMotor();
+
+                // Dragged: the hand turns the whole toy towards the drag's speed (torque on the torso alone
+                // would only whip it round inside its limbs)
+                const [torsoLinear, torsoAngular] = getModeDamping().torso;
+                torso.setDamping(torsoLinear, torsoAngular);
+
+                const speed = Math.max(-spin.maxSpeed, Math.min(spin.maxSpeed, drive));
+                const maxChange = SPIN_SETTINGS.dragAcceleration * PHYSICS_STEP;
+                const change = Math.max(-maxChange, Math.min(maxChange, speed - getSpinSpeed()));
+                setSpinSpeed(getSpinSpeed() + change, attachedLimbs);
+            } else if (spinning) {
+                // Low damping for free spinning, the motor holds the target speed
+                const [torsoLinear, torsoAngular] = getModeDamping().torso;
+                torso.setDamping(torsoLinear, torsoAngular);
+                runMotor(targetSpeed * direction, targetSpeed);
+            } else if (coasting) {
+                stopMotor();
+
+                // Flicked: spins on, slowed only by the stick
+                torso.setDamping(SPIN_SETTINGS.coastDamping[0], SPIN_SETTINGS.coastDamping[1]);
+                clampSpeed(spin.maxSpeed);
+            } else {
+                // Very strong damping and the motor braking to stop quickly when released
+                torso.setDamping(SPIN_SETTINGS.stopDamping[0], SPIN_SETTINGS.stopDamping[1]);
+                clampSpeed(spin.maxStopSpeed);
+                runMotor(0, spin.maxStopSpeed);
+
+                // Limbs help stop the rotation (not when they should swing freely, e.g. on the string)
+                if (stopLimbs) {
+                    attachedLimbs.forEach(name => {
+                        bodies[name].setDamping(SPIN_SETTINGS.limbStopDamping[0], SPIN_SETTINGS.limbStopDamping[1]);
+                    });
+                }
+            }
+
+            // Keep limbs active for centrifugal response; back to light damping while spinning
+            const turning = spinning || drive !== null || coasting;
+            limbs.forEach(name => {
+                bodies[name].activate(true);
+
+                if (turning && attachedLimbs.includes(name) && bodies[name].getLinearDamping() > 0.1) {
+                    const [limbLinear, limbAngular] = getModeDamping().limb;
+                    bodies[name].setDamping(limbLinear, limbAngular);
+                }
+            });
+        }
+
+        // Advance by dt seconds (one fixed step) - the whole world, with any other toys in it
+        function step(dt = PHYSICS_STEP, substeps = PHYSICS_SUBSTEPS) {
+            physicsWorld.step(dt, substeps);
+        }
+
+        // Y spin speed of the torso (rad/s)
+        function getSpinSpeed() {
+            return bodies.torso ? bodies.torso.getAngularVelocity().y() : 0;
+        }
+
+        // Set the toy spinning about its stick at speed (rad/s) - a flick's momentum. The limbs carry most of
+        // the toy's inertia, so the torso and the limbs it holds all get the change in spin, keeping any wobble
+        function setSpinSpeed(speed, attachedLimbs = LIMB_NAMES.filter(name => bodies[name] && constraints[name])) {
+            const torso = bodies.torso;
+            if (!torso) return;
+
+            const change = speed - getSpinSpeed();
+            const axis = getPose('torso').position;
+            [torso, ...attachedLimbs.map(name => bodies[name])].forEach(body => {
+                const angVel = body.getAngularVelocity();
+                tmpVec.setValue(angVel.x(), angVel.y() + change, angVel.z());
+                body.setAngularVelocity(tmpVec);
+
+                // Around the stick: Y × (position - axis)
+                const origin = body.getWorldTransform().getOrigin();
+                const linVel = body.getLinearVelocity();
+                tmpVec.setValue(
+                    linVel.x() + change * (origin.z() - axis.z),
+                    linVel.y(),
+                    linVel.z() - change * (origin.x() - axis.x)
+                );
+                body.setLinearVelocity(tmpVec);
+                body.activate(true);
+            });
+        }
+
+        // Take the toy's joints and bodies out of the world without freeing them, and leave it
+        function leaveWorld() {
+            Object.keys(constraints).forEach(name => world.removeConstraint(constraints[name]));
+            Object.keys(bodies).forEach(name => {
+                if (bodies[name] !== physicsWorld.floor) {
+                    world.removeRigidBody(bodies[name]);
+                }
+            });
+
+            const index = physicsWorld.toys.indexOf(toy);
+            if (index >= 0) {
+                physicsWorld.toys.splice(index, 1);
+                physicsWorld.applySolverSettings();
+            }
+        }
+
+        // Free the toy's bodies, shapes and joints, and its world if it has one of its own - the toy is
+        // unusable afterwards
+        function destroy() {
+            destroyHangingString();
+            Object.keys(constraints).forEach(name => {
+                world.removeConstraint(constraints[name]);
+                AmmoLib.destroy(constraints[name]);
+                delete constraints[name];
+            });
+
+            [bodies.anchor, bodies.torso, ...LIMB_NAMES.map(name => bodies[name])].forEach(body => {
+                if (!body) return;
+                world.removeRigidBody(body); // Missing limbs are already out - Bullet skips them
+                AmmoLib.destroy(body.getMotionState());
+                AmmoLib.destroy(body.getCollisionShape());
+                AmmoLib.destroy(body);
+            });
+            Object.keys(bodies).forEach(name => delete bodies[name]);
+            childShapes.splice(0).forEach(shape => AmmoLib.destroy(shape));
+            [tmpTrans, tmpVec, tmpQuat].forEach(object => AmmoLib.destroy(object));
+
+            leaveWorld();
+            if (ownsWorld) {
+                physicsWorld.destroy();
+            }
+        }
+
+        applySolverSettings();
+
+        return Object.assign(toy, {
+            setMode,
+            applySolverSettings,
+            getModeDamping,
+            applyModeDamping,
+            buildToy,
+            addBody,
+            createSpinHinge,
+            destroySpinHinge,
+            createHangingString,
+            destroyHangingString,
+            moveHanger,
+            moveAnchor,
+            grabBody,
+            moveGrab,
+            releaseGrab,
+            getJointSettings,
+            createLimbJoint,
+            createLimbJoints,
+            destroyLimbJoint,
+            destroyLimbJoints,
+            resetBody,
+            putToSleep,
+            wakeUp,
+            getPose,
+            restPointToWorld,
+            measureJointError,
+            applySpinControl,
+            step,
+            checkTunneling,
+            getSpinSpeed,
+            setSpinSpeed,
+            leaveWorld,
+            destroy
+        });
+    }
+
+    return {
+        RIG_VERSION,
+        PHYSICS_STEP,
+        PHYSICS_SUBSTEPS,
+        GROUP_TORSO,
+        GROUP_LIMB,
+        GROUP_TORSO_PART,
+        GROUP_FLOOR,
+        LIMB_NAMES,
+        LIMB_COLLISION_MASK,
+        COLLISION_GROUPS,
+        FLOOR_SETTINGS,
+        HANGING_STRING_SETTINGS,
+        HANGING_STRING_SEGMENTS,
+        GRAB_SETTINGS,
+        CCD_SETTINGS,
+        TUNNELING_DEPTH,
+        MODE_DAMPING,
+        SPIN_SETTINGS,
+        HINGE_JOINT_SETTINGS,
+        ELASTIC_JOINT_SETTINGS,
+        vec,
+        quat,
+        add,
+        subtract,
+        invert,
+        normalize,
+        multiplyQuaternions,
+        rotateVector,
+        toLocal,
+        rotationBetween,
+        getCollisionFilter,
+        getShapeThickness,
+        placeRig,
+        createPhysicsWorld,
+        createToyPhysics
+    };
+})();
+
+// Node: require('./physics-core.js') - in the browser ToyPhysicsCore is a global for app.js
+if (typeof module === 'object' && module.exports) {
+    module.exports = ToyPhysicsCore;
+}
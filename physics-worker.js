@@ -0,0 +1,34 @@
+// Physics worker - owns the Ammo instance and the toy simulation (toy-simulation.js), steps it on its
+// own fixed-step clock and streams body transforms back to the page after every step (transferable buffers)
+// UI and rendering hiccups on the page no longer hold up the physics, and the other way round
+
+importScripts('ammo_browser.js', 'physics-core.js', 'toy-simulation.js');
+
+let host = null;
+const queuedMessages = []; // Messages that arrive while Ammo is still loading
+
+self.onmessage = (event) => {
+    if (host) {
+        host.handleMessage(event.data);
+    } else {
+        queuedMessages.push(event.data);
+    }
+};
+
+Ammo().then((AmmoLib) => {
+    host = ToySimulation.createHost(AmmoLib, (message, transfer) => self.postMessage(message, transfer || []));
+    queuedMessages.splice(0).forEach(message => host.handleMessage(message));
+
+    // Fixed-step clock: wake up when the next step is due
+    let lastTime = performance.now();
+    const tick = () => {
+        const now = performance.now();
+        const progress = host.advance((now - lastTime) / 1000);
+        lastTime = now;
+        setTimeout(tick, (1 - progress) * ToyPhysicsCore.PHYSICS_STEP * 1000);
+    };
+    tick();
+}).catch((error) => {
+    console.error('❌ Failed to load Ammo.js in the physics worker:', error);
+    self.postMessage({ type: 'error', message: `Ammo.js failed to load: ${error.message || error}` });
+});
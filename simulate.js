@@ -0,0 +1,104 @@
+// Headless run of the toy physics - no browser, no rendering
+//
+//   node simulate.js [hinge|elastic] [spin seconds] [rig.json]
+//   node simulate.js check [spin seconds] [rig.json]
+//
+// Builds the toy from a rig description (toy-rig.json by default), spins it for the given time,
+// lets go and reports spin speed, how far each limb strayed from its joint and how often limbs tunneled.
+// 'check' spins a new and a worn-out toy of each kind through the full simulation (joint breaks and all)
+// at the default speed and exits with an error if a limb tears off
+
+const fs = require('fs');
+const path = require('path');
+const Ammo = require('./ammo_browser.js');
+const ToyPhysicsCore = require('./physics-core.js');
+
+const mode = process.argv[2] || 'elastic';
+const spinSeconds = parseFloat(process.argv[3] || '3');
+const rigPath = process.argv[4] || path.join(__dirname, 'toy-rig.json');
+const SETTLE_SECONDS = 3;
+
+if (mode !== 'hinge' && mode !== 'elastic' && mode !== 'check') {
+    console.error(`❌ Unknown mode "${mode}" - use hinge, elastic or check`);
+    process.exit(1);
+}
+
+// A new and a fully worn toy of each kind, spun at the default speed and let go - returns the limbs that tore off
+function checkDefaultSpin(AmmoLib, rig) {
+    const ToySimulation = require('./toy-simulation.js');
+    const wornOut = () => Object.fromEntries(ToyPhysicsCore.LIMB_NAMES.map(name => [name, { ...ToySimulation.createJointFatigueState(), wear: 1 }]));
+    const torn = [];
+
+    ['hinge', 'elastic'].forEach(physicsMode => {
+        [['New', {}], ['Worn', wornOut()]].forEach(([age, jointFatigue]) => {
+            const simulation = ToySimulation.createSimulation(AmmoLib, { rig, setup: { physicsMode, jointFatigue } });
+            const run = seconds => {
+                const steps = Math.round(seconds / ToyPhysicsCore.PHYSICS_STEP);
+                for (let i = 0; i < steps; i++) {
+                    simulation.step();
+                }
+            };
+
+            simulation.dispatchInput({ type: 'spinStart', direction: 1 });
+            run(spinSeconds);
+            simulation.dispatchInput({ type: 'spinStop' });
+            run(SETTLE_SECONDS);
+
+            const { detachedLimbs } = simulation.getStatus();
+            console.log(`${detachedLimbs.length ? '💥' : '✅'} ${age} ${physicsMode} toy: ${detachedLimbs.length ? `tore off ${detachedLimbs.join(', ')}` : 'all limbs held'}`);
+            detachedLimbs.forEach(name => torn.push(`${age.toLowerCase()} ${physicsMode} ${name}`));
+            simulation.destroy();
+        });
+    });
+
+    return torn;
+}
+
+Ammo().then(AmmoLib => {
+    const rig = JSON.parse(fs.readFileSync(rigPath, 'utf8'));
+
+    if (mode === 'check') {
+        console.log(`🧸 Default spin check from ${path.basename(rigPath)} - spinning ${spinSeconds}s, then settling ${SETTLE_SECONDS}s`);
+        const torn = checkDefaultSpin(AmmoLib, rig);
+        if (torn.length) {
+            console.error(`❌ The default spin tore ${torn.length} limb(s) off: ${torn.join(', ')}`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    const toy = ToyPhysicsCore.createToyPhysics(AmmoLib, { mode });
+    toy.buildToy(rig);
+    toy.createLimbJoints();
+
+    const limbs = ToyPhysicsCore.LIMB_NAMES.filter(name => toy.bodies[name]);
+    const maxJointError = Object.fromEntries(limbs.map(name => [name, 0]));
+    let peakSpeed = 0;
+
+    const run = (seconds, spinning) => {
+        const steps = Math.round(seconds / ToyPhysicsCore.PHYSICS_STEP);
+        for (let i = 0; i < steps; i++) {
+            toy.applySpinControl({ spinning, direction: 1 });
+            toy.step();
+
+            peakSpeed = Math.max(peakSpeed, Math.abs(toy.getSpinSpeed()));
+            limbs.forEach(name => {
+                maxJointError[name] = Math.max(maxJointError[name], toy.measureJointError(name));
+            });
+        }
+    };
+
+    console.log(`🧸 ${mode} toy from ${path.basename(rigPath)} - spinning ${spinSeconds}s, then settling ${SETTLE_SECONDS}s`);
+    run(spinSeconds, true);
+    const releaseSpeed = toy.getSpinSpeed();
+    run(SETTLE_SECONDS, false);
+
+    console.log(`🌀 Spin speed: peak ${peakSpeed.toFixed(3)} rad/s, at release ${releaseSpeed.toFixed(3)} rad/s, settled ${toy.getSpinSpeed().toFixed(3)} rad/s`);
+    limbs.forEach(name => {
+        console.log(`🦴 ${name}: max joint error ${maxJointError[name].toFixed(4)}`);
+    });
+    console.log(`🕳️ Tunneling events: ${toy.tunneling.events} (deepest contact ${toy.tunneling.deepest.toFixed(3)})`);
+}).catch(error => {
+    console.error('❌ Simulation failed:', error);
+    process.exit(1);
+});
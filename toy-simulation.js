@@ -0,0 +1,1988 @@
+// Toy simulation - what the toy does, on top of the physics core (physics-core.js): the input queue,
+// spin, pull string, letting go and throwing, hanging from a string, grabbing parts, elastic fatigue, breakable joints, broken-toy limb conditions
+// and record/replay
+// No THREE, DOM or window in here either: it runs in the physics worker (physics-worker.js), or on the
+// page when workers aren't available, and talks to app.js only through messages (see createHost)
+//
+// Page → simulation:  init { rig, setup }, addToy { toy, setup, position }, removeToy { toy },
+//                     input { input, toy }, startRecording, stopRecording, playRecording { recording },
+//                     stopReplay, recreateWorld, returnBuffer { buffer }
+// Simulation → page:  ready { rest, stringRig }, step { buffer }, status { status },
+//                     fatigue { jointFatigue }, recording { recording }, factoryReset, error { message }
+//                     - all but error carry the toy they are about ({ toy }, 0 for the toy from init)
+
+const ToySimulation = (() => {
+    const core = typeof ToyPhysicsCore !== 'undefined' ? ToyPhysicsCore : require('./physics-core.js');
+    const {
+        PHYSICS_STEP,
+        PHYSICS_SUBSTEPS,
+        LIMB_NAMES,
+        HANGING_STRING_SEGMENTS,
+        HINGE_JOINT_SETTINGS,
+        ELASTIC_JOINT_SETTINGS,
+        SPIN_SETTINGS,
+        add,
+        subtract,
+        invert,
+        multiplyQuaternions,
+        rotateVector,
+        toLocal
+    } = core;
+
+    const scale = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+    const length = v => Math.sqrt(dot(v, v));
+    const fromAmmo = v => ({ x: v.x(), y: v.y(), z: v.z() });
+
+    const RECORDING_VERSION = 1;
+    const MAX_STEPS_PER_ADVANCE = 8;    // Slower devices than this fall behind real time
+    const MAX_ADVANCE = 0.25;           // Longest stretch of time fed to the accumulator (seconds)
+    const MAX_PHYSICS_FAILURES = 5;     // Failed steps before the world is rebuilt
+    const FATIGUE_REPORT_STEPS = 15;    // Steps between fatigue snapshots sent to the page (for saving)
+
+    // Bodies streamed to the page after every step, in this order
+    // Step buffer: STEP_HEADER, then BODY_STRIDE floats per body - position, quaternion, 1 if it is in the world
+    const STREAMED_BODIES = ['torso', ...LIMB_NAMES, 'hanger', ...HANGING_STRING_SEGMENTS];
+    const STEP_HEADER = { step: 0, spinSpeed: 1, spinning: 2, pullAmount: 3, teleported: 4 };
+    const STEP_HEADER_SIZE = 5;
+    const BODY_STRIDE = 8;
+    const STEP_BUFFER_LENGTH = STEP_HEADER_SIZE + STREAMED_BODIES.length * BODY_STRIDE;
+
+    // What a press does: spin the toy, pull its string, pick it up and throw it on release, move the
+    // string the toy hangs from ('hang' takes it off its stick and hangs it by its head), or take the stick
+    // in the hand and shake it ('shake')
+    const INTERACTION_MODES = ['spin', 'string', 'throw', 'hang', 'shake'];
+
+    // Broken toy: each limb is 'attached', hanging 'loose' on a ball joint, or 'missing'
+    const LIMB_CONDITIONS = ['attached', 'loose', 'missing'];
+    const BROKEN_TOY_PRESET = { leftArm: 'loose', rightLeg: 'missing' }; // One limb gone, one barely holding on
+
+    // Joint break thresholds - strain is pivot separation in world units
+    const JOINT_BREAK_SETTINGS = {
+        enabled: true,
+        hingeStrain: 0.5,           // A pin joint pulled this far apart snaps
+        elasticOverstretch: 0.6,    // Elastic tears this far beyond its stretch range
+        looseStrain: 1.3,           // A limb hanging loose on its ball joint
+        wearWeakening: 0.5,         // Fully aged joints break at half the strain
+        sustainSteps: 30,           // Overstrain must build up this many steps (half a second) - brief spikes drain away
+        settleSteps: 60,            // A re-tied joint can't break for this many steps while it settles
+        freeDamping: [0.05, 0.1]    // Damping for a limb flying free
+    };
+
+    // Pull-string mode - lengths in world units (the page adds how the string is drawn and dragged)
+    const STRING_SETTINGS = {
+        lever: 0.8,           // Tie point sits this far past the pivot on the limb's short end
+        knotDrop: 1.0,        // Knot hangs this far below the lowest tie
+        slack: 1.03,          // Ties are slightly loose at rest
+        stiffness: 300,       // String stretch spring (N per unit)
+        damping: 30,          // Settles the limbs at full pull instead of bouncing on the string
+        maxTension: 80,       // Beyond this the string slips instead of tearing the limbs off
+        maxPull: 1.2,
+        pullSpeed: 4          // Max knot speed (units/s)
+    };
+
+    // Letting go - the toy leaves its stick with the thrower's hand velocity (world units/s), capped
+    // The elastic keeps a dropped toy twitching on the floor, so once the torso has been this slow for
+    // restSteps the toy is put to sleep; any input wakes it
+    const DROP_SETTINGS = {
+        maxThrowSpeed: 4,
+        restSpeed: 0.5,         // Torso and limbs (units/s)
+        restSpin: 1.0,          // Torso (rad/s)
+        restSteps: 45
+    };
+
+    // Hanging mode - dragging moves the hanger (world units), at a limited speed so a fast drag swings the
+    // toy instead of snapping its string; it stays within reach of where the toy was hung
+    const HANG_SETTINGS = {
+        reach: { x: 5, down: 3, up: 1.5 },
+        maxSpeed: 6             // Units/s
+    };
+
+    // Shake mode - dragging carries the stick (world units) and tilts it (radians), within reach of where it
+    // stands; the anchor follows at a limited speed so the limbs are flung about by the stick's motion rather
+    // than teleported, and it leans into fast moves like a stick held at its bottom end. Let go, it goes back
+    const SHAKE_SETTINGS = {
+        reach: { x: 4, down: 3, up: 2 },
+        maxSpeed: 6,            // Units/s
+        maxTilt: 0.6,           // Radians either way
+        tiltSpeed: 6,           // Rad/s
+        lean: 0.05              // Radians of lean per unit/s of sideways move
+    };
+
+    // Drag to spin - the page sends how far the drag has turned the toy (radians since it began) and the stick
+    // is driven after it; a flick's momentum coasts until the toy is this slow, then it stops like any release
+    const SPIN_DRAG_SETTINGS = {
+        follow: 15,             // 1/s - how quickly the toy catches up with the drag
+        coastStopSpeed: 1.0     // rad/s
+    };
+
+    // Spin motor target - set in RPM, null for the mode's own targetSpeed in SPIN_SETTINGS
+    function toSpinTarget(rpm) {
+        return rpm === null || rpm === undefined ? null : Math.max(0, rpm);
+    }
+
+    function rpmToSpeed(rpm) {
+        return rpm * Math.PI * 2 / 60;
+    }
+
+    function speedToRpm(speed) {
+        return speed * 60 / (Math.PI * 2);
+    }
+
+    // ELASTIC FATIGUE - joints wear with play and partly recover at rest
+    // Each limb tracks its own stress, so the toy ages unevenly
+    const FATIGUE_SETTINGS = {
+        // How easily each limb's elastic wears (uneven on purpose)
+        susceptibility: { leftArm: 1.15, rightArm: 0.9, leftLeg: 1.0, rightLeg: 1.3 },
+        stressSpeed: 4.0,          // Spin speed (rad/s) where wear starts
+        stressError: 0.15,         // Constraint error (world units) where wear starts
+        maxStress: 3.0,            // Cap so a single violent frame doesn't age the toy at once
+        fatigueRate: 0.002,        // Recoverable fatigue per second at unit stress
+        wearRate: 0.0002,          // Permanent wear per second at unit stress
+        recoveryRate: 0.02,        // Fraction of fatigue recovered per second at rest
+        restSpeed: 0.5,            // Below this spin speed the toy counts as resting
+        maxStiffnessLoss: 0.7,     // Fully aged elastic keeps 30% of its stiffness
+        maxExtraStretch: 0.35,     // Extra stretch a fully aged elastic allows
+        maxExtraSwing: Math.PI * 0.1, // Extra hinge swing from a worn pin hole
+        maxHingeSoftness: 0.3,     // Hinge limit softness when fully aged
+        applyInterval: 0.25        // Seconds between joint parameter updates
+    };
+
+    function createJointFatigueState() {
+        return {
+            spinTime: 0,           // Seconds spent spinning above stressSpeed
+            peakAngularSpeed: 0,   // Fastest the limb has ever turned (rad/s)
+            constraintError: 0,    // Current distance between the two joint pivots
+            peakConstraintError: 0,
+            fatigue: 0,            // 0..1, recovers at rest
+            wear: 0                // 0..1, permanent
+        };
+    }
+
+    // Overall aging of a limb joint from its fatigue state, 0 = new, 1 = worn out
+    function getAging(state) {
+        return Math.min(1, state.wear + state.fatigue);
+    }
+
+    // Ammo.js object pool to prevent WebAssembly memory corruption
+    function createAmmoObjectPool(AmmoLib) {
+        return {
+            transforms: [],
+            vectors: [],
+            quaternions: [],
+
+            // Memory usage tracking
+            allocationCount: 0,
+            maxPoolSize: 50, // Prevent excessive memory usage
+
+            getTransform: function() {
+                if (this.transforms.length > 0) {
+                    return this.transforms.pop();
+                }
+                this.allocationCount++;
+                return new AmmoLib.btTransform();
+            },
+
+            returnTransform: function(transform) {
+                if (transform && this.transforms.length < this.maxPoolSize) {
+                    this.transforms.push(transform);
+                }
+            },
+
+            getVector: function(x = 0, y = 0, z = 0) {
+                let vec;
+                if (this.vectors.length > 0) {
+                    vec = this.vectors.pop();
+                    vec.setValue(x, y, z);
+                } else {
+                    this.allocationCount++;
+                    vec = new AmmoLib.btVector3(x, y, z);
+                }
+                return vec;
+            },
+
+            returnVector: function(vector) {
+                if (vector && this.vectors.length < this.maxPoolSize) {
+                    this.vectors.push(vector);
+                }
+            },
+
+            getQuaternion: function(x = 0, y = 0, z = 0, w = 1) {
+                let quat;
+                if (this.quaternions.length > 0) {
+                    quat = this.quaternions.pop();
+                    quat.setValue(x, y, z, w);
+                } else {
+                    this.allocationCount++;
+                    quat = new AmmoLib.btQuaternion(x, y, z, w);
+                }
+                return quat;
+            },
+
+            returnQuaternion: function(quaternion) {
+                if (quaternion && this.quaternions.length < this.maxPoolSize) {
+                    this.quaternions.push(quaternion);
+                }
+            },
+
+            clear: function() {
+                // Clear all pools to free memory
+                this.transforms = [];
+                this.vectors = [];
+                this.quaternions = [];
+                this.allocationCount = 0;
+            },
+
+            getStats: function() {
+                return {
+                    transforms: this.transforms.length,
+                    vectors: this.vectors.length,
+                    quaternions: this.quaternions.length,
+                    totalAllocations: this.allocationCount
+                };
+            }
+        };
+    }
+
+    // One toy and everything that happens to it, stepped one fixed step at a time
+    // options: { rig, setup: { physicsMode, interactionMode, limbConditions, jointFatigue, spinTarget }, emit(message),
+    //            getWorld() (the shared world to build into, see createScene), position ({x, y, z} of the rig) }
+    function createSimulation(AmmoLib, options) {
+        if (!AmmoLib) {
+            throw new Error('AmmoLib not initialized');
+        }
+
+        const { rig } = options;
+        const setup = options.setup || {};
+        const emit = options.emit || (() => {});
+        const ammoObjectPool = createAmmoObjectPool(AmmoLib);
+
+        // Ammo.js physics world and rigid bodies - owned by the physics core
+        let toyPhysics = null;
+        let physicsWorld = null;
+        let rigidBodies = {};
+        let constraints = {};
+        let physicsPreTickCallback = null;
+
+        let physicsMode = setup.physicsMode === 'elastic' ? 'elastic' : 'hinge';
+        let interactionMode = 'spin';
+        let limbConditions = { leftArm: 'attached', rightArm: 'attached', leftLeg: 'attached', rightLeg: 'attached' };
+        Object.assign(limbConditions, setup.limbConditions);
+
+        // Per-limb fatigue state (see createJointFatigueState)
+        let jointFatigue = JSON.parse(JSON.stringify(setup.jointFatigue || {}));
+        let fatigueApplyTimer = 0;
+
+        let detachedLimbs = new Set();
+        let jointOverstrainSteps = {};
+
+        let restingSteps = 0;     // Steps a dropped toy has been lying still
+
+        // Hanger of the hanging string: where it was hung, where the drag wants it, and the target at the grab
+        let hanger = { home: null, target: null, grabbed: null };
+
+        // Stick in the hand (shake mode): the anchor's pose away from its rest pose (null at rest), where the
+        // drag wants it, and the targets at the grab
+        let stick = createStickState();
+
+        // Part held by the pointer: which one, and where the point grabbed was at the grab (world) - the drag
+        // is an offset from there; null when nothing is held
+        let grab = null;
+
+        let stringRig = null;
+        let stringPull = { active: false, target: 0, amount: 0 };
+
+        // Spin state - only changed by applied inputs
+        let mouseButtonDown = false;
+        let spinTarget = toSpinTarget(setup.spinTarget); // RPM the motor spins a pressed toy at; null for the mode's own
+        let currentRotationDirection = 1; // 1 for clockwise, -1 for counterclockwise
+        let spinDrag = null;       // { target, travelled } radians while the toy is dragged round
+        let spinCoasting = false;  // Flicked - spinning on with its own momentum
+
+        // Input recording and replay
+        let pendingInputs = [];
+        let recording = null;      // { startStep, setup, events } while recording
+        let replay = null;         // { recording, startStep, nextEvent, restore } while replaying
+        let physicsStepCount = 0;
+        let teleported = true;     // Bodies jumped since the last step - nothing for the page to blend from
+
+        // Physics corruption detection
+        let physicsFailureCount = 0;
+        let lastPhysicsFailureTime = 0;
+
+        // FAIL FAST SAFETY CHECKS
+        function validatePhysicsAuthority() {
+            if (!rigidBodies.torso) {
+                throw new Error("❌ PHYSICS AUTHORITY VIOLATION: Torso rigid body not created!");
+            }
+
+            // Check if it's a valid Ammo.js rigid body by checking for expected methods
+            if (typeof rigidBodies.torso.getMotionState !== 'function') {
+                throw new Error("❌ PHYSICS AUTHORITY VIOLATION: Torso is not a valid Ammo.js rigid body!");
+            }
+
+            // Check collision flags - should not be kinematic (CF_KINEMATIC_OBJECT = 2)
+            const torsoFlags = rigidBodies.torso.getCollisionFlags();
+            if (torsoFlags & 2) { // CF_KINEMATIC_OBJECT
+                throw new Error("❌ PHYSICS AUTHORITY VIOLATION: Torso is kinematic - must be dynamic!");
+            }
+
+            // Check that limbs are also dynamic (only the limbs this toy still has)
+            getActiveLimbNames().forEach(name => {
+                const flags = rigidBodies[name].getCollisionFlags();
+                if (flags & 2) { // CF_KINEMATIC_OBJECT
+                    throw new Error(`❌ PHYSICS AUTHORITY VIOLATION: ${name} is kinematic - must be dynamic!`);
+                }
+            });
+
+            // console.log("✅ PHYSICS AUTHORITY VALIDATED: Torso and limbs are dynamic");
+        }
+
+        // Limbs taking part in the simulation: body exists and the limb is not missing
+        function getActiveLimbNames() {
+            return LIMB_NAMES.filter(name => rigidBodies[name] && limbConditions[name] !== 'missing');
+        }
+
+        // Active limbs still held by a joint (torn-off limbs fly free)
+        function getAttachedLimbNames() {
+            return getActiveLimbNames().filter(name => !detachedLimbs.has(name));
+        }
+
+        // World, bodies, joints and string rig from the rig description
+        function buildWorld() {
+            toyPhysics = core.createToyPhysics(AmmoLib, {
+                mode: physicsMode,
+                world: options.getWorld ? options.getWorld() : undefined,
+                position: options.position
+            });
+            physicsWorld = toyPhysics.world;
+            rigidBodies = toyPhysics.bodies;
+            constraints = toyPhysics.constraints;
+
+            // Hook run before every internal substep (string tension is too stiff to apply once per step)
+            // In a shared world the scene owns the hook and calls preTick on every toy
+            if (!options.getWorld) {
+                if (!physicsPreTickCallback) {
+                    physicsPreTickCallback = AmmoLib.addFunction(onPhysicsPreTick, 'vif');
+                }
+                physicsWorld.setInternalTickCallback(physicsPreTickCallback, 0, true);
+            }
+
+            // Anchor, torso (with its parts and pivot spheres), limbs and spin hinge
+            toyPhysics.buildToy(rig);
+            validatePhysicsAuthority();
+            stick = createStickState(); // The new anchor stands at rest
+            grab = null;
+
+            // Missing limbs keep their body (so they can come back) but stay out of the world
+            LIMB_NAMES.forEach(name => {
+                if (rigidBodies[name] && limbConditions[name] === 'missing') {
+                    physicsWorld.removeRigidBody(rigidBodies[name]);
+                }
+            });
+
+            toyPhysics.applyModeDamping();
+            createConstraints();
+
+            // Rope for pull-string mode (tie points come from the rest pose)
+            createPullString();
+            teleported = true;
+        }
+
+        // Check the joint graph built by the core and add the limb joints
+        function createConstraints() {
+            if (!rigidBodies.anchor) {
+                throw new Error('❌ CRITICAL: Cannot create constraints - anchor body missing!');
+            }
+
+            // Anchor ↔ torso spin hinge comes with the toy's bodies (see buildToy)
+            if (!constraints.spinHinge) {
+                throw new Error('❌ CRITICAL: Spin hinge missing - physics graph is broken!');
+            }
+
+            // Hanging mode: the hanging string takes the spin hinge's place (the toy is still at rest)
+            if (interactionMode === 'hang') {
+                toyPhysics.destroySpinHinge();
+                hangToy();
+            }
+
+            // Limbs are optional - a broken toy can be missing any of them (see limbConditions)
+            createLimbConstraints();
+        }
+
+        // Build one limb joint for the current physics mode and the limb's condition
+        function createLimbConstraint(name) {
+            // Hanging loose: the pin is gone, the limb dangles from a ball joint at its pivot
+            const type = limbConditions[name] === 'loose' ? 'ball' : physicsMode;
+            const joint = toyPhysics.createLimbJoint(name, type);
+
+            // A worn limb starts out worn - apply accumulated fatigue to the fresh joint
+            applyJointFatigue(name);
+
+            return joint;
+        }
+
+        // Create joints for every limb the toy still has, using the current physics mode
+        function createLimbConstraints() {
+            LIMB_NAMES.forEach(name => {
+                if (limbConditions[name] === 'missing' || detachedLimbs.has(name) || constraints[name]) {
+                    return;
+                }
+                if (!rigidBodies[name]) {
+                    console.warn(`⚠️ ${name} not found in model - toy continues without it`);
+                    return;
+                }
+
+                try {
+                    createLimbConstraint(name);
+                } catch (error) {
+                    console.error(`❌ Failed to create limb constraint for ${name}:`, error);
+                }
+            });
+        }
+
+        function getModeDamping() {
+            return toyPhysics.getModeDamping();
+        }
+
+        // Switch between New Toy (hinge) and Old Toy (elastic) live; false for an unknown mode
+        // Tears down the limb joints and rebuilds them for the new mode - the world is not rebuilt
+        function setPhysicsMode(mode) {
+            if (mode !== 'hinge' && mode !== 'elastic') {
+                console.warn(`⚠️ Unknown physics mode: ${mode}`);
+                return false;
+            }
+
+            physicsMode = mode;
+            toyPhysics.setMode(physicsMode);
+
+            // Back to rest pose first so the new joints start without strain
+            resetToy();
+            toyPhysics.destroyLimbJoints();
+            toyPhysics.applyModeDamping();
+            createLimbConstraints();
+
+            // console.log(`🔄 Rebuilt limb joints for ${mode} mode`);
+            return true;
+        }
+
+        // BROKEN TOY - put limbs back in or take them out of the simulation to match limbConditions
+        function applyLimbConditions() {
+            toyPhysics.destroyLimbJoints();
+
+            LIMB_NAMES.forEach(name => {
+                const body = rigidBodies[name];
+                if (!body) return;
+
+                // Removing a body that isn't in the world is a no-op, so re-add from a clean state
+                physicsWorld.removeRigidBody(body);
+                if (limbConditions[name] !== 'missing') {
+                    toyPhysics.addBody(name);
+                }
+            });
+
+            resetToy();
+            createLimbConstraints();
+        }
+
+        // Set one limb to 'attached', 'loose' or 'missing' (false for an unknown limb or condition)
+        function setLimbCondition(name, condition) {
+            if (!LIMB_NAMES.includes(name) || !LIMB_CONDITIONS.includes(condition)) {
+                console.warn(`⚠️ Unknown limb condition: ${name} → ${condition}`);
+                return false;
+            }
+
+            limbConditions[name] = condition;
+            applyLimbConditions();
+            return true;
+        }
+
+        // Toggle the toy from the artist's memory (BROKEN_TOY_PRESET) or a complete toy
+        function setBrokenToy(broken) {
+            LIMB_NAMES.forEach(name => {
+                limbConditions[name] = (broken && BROKEN_TOY_PRESET[name]) || 'attached';
+            });
+            applyLimbConditions();
+        }
+
+        // BREAKABLE JOINTS - a joint strained past its limit tears, and the limb flies free
+        // Strain is the distance between the joint pivots as seen from torso and limb (see measureJointError)
+        function getJointBreakStrain(name) {
+            const weakening = 1 - JOINT_BREAK_SETTINGS.wearWeakening * getJointAging(name);
+
+            if (limbConditions[name] === 'loose') {
+                return JOINT_BREAK_SETTINGS.looseStrain * weakening;
+            }
+
+            const joint = constraints[name];
+            if (joint instanceof AmmoLib.btGeneric6DofSpringConstraint) {
+                // Elastic may stretch by design - it tears beyond its (worn) stretch range, both in-plane axes plus depth
+                const stretch = toyPhysics.getJointSettings(name).stretch + FATIGUE_SETTINGS.maxExtraStretch * getJointAging(name);
+                const range = Math.hypot(stretch, stretch, ELASTIC_JOINT_SETTINGS.depthStretch);
+                return range + JOINT_BREAK_SETTINGS.elasticOverstretch * weakening;
+            }
+
+            return JOINT_BREAK_SETTINGS.hingeStrain * weakening;
+        }
+
+        // Check every attached limb after a physics step; sustained overstrain breaks the joint. Steps over the
+        // break strain count up and steps under it count back down, so only a joint held overloaded tears
+        function checkJointBreaks() {
+            if (!JOINT_BREAK_SETTINGS.enabled || !rigidBodies.torso) return;
+
+            getAttachedLimbNames().forEach(name => {
+                if (!constraints[name]) return;
+
+                // Negative count = a freshly tied joint still settling
+                if (jointOverstrainSteps[name] < 0) {
+                    jointOverstrainSteps[name]++;
+                    return;
+                }
+
+                const strain = toyPhysics.measureJointError(name);
+                if (strain > getJointBreakStrain(name)) {
+                    jointOverstrainSteps[name] = (jointOverstrainSteps[name] || 0) + 1;
+                } else {
+                    jointOverstrainSteps[name] = Math.max(0, (jointOverstrainSteps[name] || 0) - 1);
+                }
+
+                if (jointOverstrainSteps[name] >= JOINT_BREAK_SETTINGS.sustainSteps) {
+                    detachLimb(name);
+                }
+            });
+        }
+
+        // Tear a limb off: remove its joint and let it fall as a free body
+        function detachLimb(name) {
+            if (!rigidBodies[name] || detachedLimbs.has(name) || limbConditions[name] === 'missing') return;
+
+            toyPhysics.destroyLimbJoint(name);
+
+            detachedLimbs.add(name);
+            jointOverstrainSteps[name] = 0;
+
+            const [linear, angular] = JOINT_BREAK_SETTINGS.freeDamping;
+            rigidBodies[name].setDamping(linear, angular);
+
+            // console.log(`💥 ${name} tore off`);
+        }
+
+        // Put a torn-off limb back at its Constraint_* pivot and rebuild its joint
+        function retieLimb(name) {
+            if (!detachedLimbs.has(name) || !rigidBodies[name] || !rigidBodies.torso) return;
+
+            const torsoNow = toyPhysics.getPose('torso');
+            const pose = getRestPoseOnTorso(name, torsoNow);
+
+            // Move with the torso so a re-tie mid-spin doesn't tear straight off again: v = v_torso + ω × r
+            const torsoLinear = fromAmmo(rigidBodies.torso.getLinearVelocity());
+            const omega = fromAmmo(rigidBodies.torso.getAngularVelocity());
+            const velocity = add(torsoLinear, cross(omega, subtract(pose.position, torsoNow.position)));
+            placeBody(name, pose, velocity, omega);
+
+            detachedLimbs.delete(name);
+            jointOverstrainSteps[name] = -JOINT_BREAK_SETTINGS.settleSteps;
+            const [linear, angular] = getModeDamping().limb;
+            rigidBodies[name].setDamping(linear, angular);
+            createLimbConstraint(name);
+            teleported = true;
+
+            // console.log(`🪢 ${name} re-tied`);
+        }
+
+        function retieAllLimbs() {
+            Array.from(detachedLimbs).forEach(retieLimb);
+        }
+
+        // Limb pose relative to a torso pose, as it was at rest (torso × torso rest⁻¹ × limb rest)
+        function getRestPoseOnTorso(name, torsoPose) {
+            const torsoRest = toyPhysics.rest.torso;
+            const limbRest = toyPhysics.rest[name];
+            const motion = multiplyQuaternions(torsoPose.quaternion, invert(torsoRest.quaternion));
+            return {
+                position: add(torsoPose.position, rotateVector(subtract(limbRest.position, torsoRest.position), motion)),
+                quaternion: multiplyQuaternions(motion, limbRest.quaternion)
+            };
+        }
+
+        // Teleport a body to a pose with the given velocities (at rest if left out)
+        function placeBody(name, pose, linearVelocity = { x: 0, y: 0, z: 0 }, angularVelocity = { x: 0, y: 0, z: 0 }) {
+            const { position, quaternion } = pose;
+            const tmpTrans = ammoObjectPool.getTransform();
+            tmpTrans.setIdentity();
+            const vec = ammoObjectPool.getVector(position.x, position.y, position.z);
+            const rotation = ammoObjectPool.getQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            tmpTrans.setOrigin(vec);
+            tmpTrans.setRotation(rotation);
+
+            const body = rigidBodies[name];
+            body.setWorldTransform(tmpTrans);
+            body.getMotionState().setWorldTransform(tmpTrans);
+
+            vec.setValue(linearVelocity.x, linearVelocity.y, linearVelocity.z);
+            body.setLinearVelocity(vec);
+            vec.setValue(angularVelocity.x, angularVelocity.y, angularVelocity.z);
+            body.setAngularVelocity(vec);
+            body.clearForces();
+
+            ammoObjectPool.returnVector(vec);
+            ammoObjectPool.returnQuaternion(rotation);
+            ammoObjectPool.returnTransform(tmpTrans);
+        }
+
+        // RPM the motor spins a pressed toy at - the set target or the mode's own, within the mode's top speed
+        function getSpinRpm() {
+            const spin = SPIN_SETTINGS[physicsMode];
+            return speedToRpm(Math.min(spin.maxSpeed, spinTarget === null ? spin.targetSpeed : rpmToSpeed(spinTarget)));
+        }
+
+        // No press, drag or flick spinning the toy any more - the stopping damping takes over
+        function stopSpin() {
+            mouseButtonDown = false;
+            spinDrag = null;
+            spinCoasting = false;
+        }
+
+        // LET GO / PICK UP - the spin hinge holds the toy on its stick, or the hanging string in hang mode;
+        // without them the toy falls, clatters onto the floor and settles. velocity ({x, y, z}, optional) throws it
+        function isHeld() {
+            return !!constraints.spinHinge || isHanging();
+        }
+
+        function isHanging() {
+            return !!constraints.hangingStringTie;
+        }
+
+        // Take the toy off its stick or string
+        function releaseToy() {
+            toyPhysics.destroySpinHinge();
+            toyPhysics.destroyHangingString();
+            hanger = { home: null, target: null, grabbed: null };
+        }
+
+        // Free fall or swing - not the heavy damping that stops the spin
+        function applyFreeDamping() {
+            const damping = getModeDamping();
+            rigidBodies.torso.setDamping(damping.torso[0], damping.torso[1]);
+            getAttachedLimbNames().forEach(name => {
+                rigidBodies[name].setDamping(damping.limb[0], damping.limb[1]);
+            });
+        }
+
+        function letGo(velocity) {
+            if (!isHeld()) return null;
+
+            releaseToy();
+            stopSpin();
+            restingSteps = 0;
+            applyFreeDamping();
+
+            // The toy keeps its spin and leaves the hand with the throw (torn-off limbs aren't in the hand)
+            let throwVelocity = { x: 0, y: 0, z: 0 };
+            if (velocity) {
+                const v = { x: Number(velocity.x) || 0, y: Number(velocity.y) || 0, z: Number(velocity.z) || 0 };
+                const speed = length(v);
+                throwVelocity = speed > DROP_SETTINGS.maxThrowSpeed ? scale(v, DROP_SETTINGS.maxThrowSpeed / speed) : v;
+
+                ['torso', ...getAttachedLimbNames()].forEach(name => {
+                    const body = rigidBodies[name];
+                    const moving = add(fromAmmo(body.getLinearVelocity()), throwVelocity);
+                    const vec = ammoObjectPool.getVector(moving.x, moving.y, moving.z);
+                    body.setLinearVelocity(vec);
+                    ammoObjectPool.returnVector(vec);
+                });
+            }
+
+            // console.log('🤲 Let go of the toy');
+            return throwVelocity;
+        }
+
+        // A dropped toy lying still goes to sleep (torn-off limbs are on their own)
+        function updateDroppedToy() {
+            const torso = rigidBodies.torso;
+            if (isHeld() || grab || !torso.isActive()) return;
+
+            const bodies = ['torso', ...getAttachedLimbNames()];
+            const resting = length(fromAmmo(torso.getAngularVelocity())) < DROP_SETTINGS.restSpin &&
+                bodies.every(name => length(fromAmmo(rigidBodies[name].getLinearVelocity())) < DROP_SETTINGS.restSpeed);
+            restingSteps = resting ? restingSteps + 1 : 0;
+
+            if (restingSteps >= DROP_SETTINGS.restSteps) {
+                toyPhysics.putToSleep(bodies);
+                restingSteps = 0;
+                // console.log('💤 Toy came to rest');
+            }
+        }
+
+        function wakeToy() {
+            toyPhysics.wakeUp(['torso', ...getActiveLimbNames()]);
+            restingSteps = 0;
+        }
+
+        // Back on the stick: torso at the anchor in its rest orientation, the limbs it still has at rest on it
+        // (in hang mode the toy is hung on its string instead)
+        function pickUp() {
+            if (isHeld()) return;
+            if (interactionMode === 'hang') {
+                hangToy();
+                return;
+            }
+
+            // A tilted stick takes the toy tilted with it
+            const anchorPose = toyPhysics.getPose('anchor');
+            const torsoPose = { position: anchorPose.position, quaternion: multiplyQuaternions(anchorPose.quaternion, toyPhysics.rest.torso.quaternion) };
+            placeBody('torso', torsoPose);
+            getAttachedLimbNames().forEach(name => placeBody(name, getRestPoseOnTorso(name, torsoPose)));
+
+            toyPhysics.createSpinHinge();
+            teleported = true;
+
+            // console.log('✋ Picked up the toy');
+        }
+
+        // HANGING - the toy hangs by its head from the hanging string (see HANGING_STRING_SETTINGS in
+        // physics-core.js), at its rest pose below the hanger; dragging moves the hanger and the toy swings after it
+        function hangToy() {
+            const torsoRest = toyPhysics.rest.torso;
+            placeBody('torso', torsoRest);
+            getAttachedLimbNames().forEach(name => placeBody(name, getRestPoseOnTorso(name, torsoRest)));
+
+            toyPhysics.createHangingString();
+            applyFreeDamping();
+
+            const home = toyPhysics.getPose('hanger').position;
+            hanger = { home, target: { ...home }, grabbed: null };
+            teleported = true;
+        }
+
+        function grabHanger() {
+            if (!isHanging()) return false;
+            hanger.grabbed = { ...hanger.target };
+            return true;
+        }
+
+        // offset: drag since the grab (world units), kept within reach of home
+        function dragHanger(offset) {
+            if (!isHanging() || !hanger.grabbed) return null;
+
+            const { home, grabbed } = hanger;
+            const { reach } = HANG_SETTINGS;
+            const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+            hanger.target = {
+                x: clamp(grabbed.x + (Number(offset && offset.x) || 0), home.x - reach.x, home.x + reach.x),
+                y: clamp(grabbed.y + (Number(offset && offset.y) || 0), home.y - reach.down, home.y + reach.up),
+                z: home.z
+            };
+            return subtract(hanger.target, grabbed);
+        }
+
+        function releaseHanger() {
+            hanger.grabbed = null;
+        }
+
+        // Before every step: the hanger follows the drag at up to maxSpeed
+        function updateHanger(delta) {
+            if (!isHanging()) return;
+
+            const position = toyPhysics.getPose('hanger').position;
+            const toTarget = subtract(hanger.target, position);
+            const distance = length(toTarget);
+            if (distance < 1e-6) return;
+
+            const move = Math.min(distance, HANG_SETTINGS.maxSpeed * delta);
+            toyPhysics.moveHanger(add(position, scale(toTarget, move / distance)));
+        }
+
+        // SHAKE - the stick is held in the hand: the drag carries and tilts the kinematic anchor, the spin hinge
+        // drags the torso along and the limbs follow through their joints, with their own inertia
+        function createStickState() {
+            return { position: null, tilt: { x: 0, z: 0 }, target: null, targetTilt: { x: 0, z: 0 }, grabbed: null };
+        }
+
+        function grabStick() {
+            if (interactionMode !== 'shake' || !constraints.spinHinge) return false;
+
+            const home = toyPhysics.rest.anchor.position;
+            stick.grabbed = { position: { ...(stick.target || home) }, tilt: { ...stick.targetTilt } };
+            return true;
+        }
+
+        // offset: drag since the grab (world units), kept within reach of the anchor's rest position;
+        // tilt: { x, z } turn since the grab (radians) about the world X and Z axes
+        function dragStick(offset, tilt) {
+            if (!stick.grabbed) return null;
+
+            const home = toyPhysics.rest.anchor.position;
+            const { position, tilt: grabbedTilt } = stick.grabbed;
+            const { reach, maxTilt } = SHAKE_SETTINGS;
+            const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+            stick.target = {
+                x: clamp(position.x + (Number(offset && offset.x) || 0), home.x - reach.x, home.x + reach.x),
+                y: clamp(position.y + (Number(offset && offset.y) || 0), home.y - reach.down, home.y + reach.up),
+                z: home.z
+            };
+            stick.targetTilt = {
+                x: clamp(grabbedTilt.x + (Number(tilt && tilt.x) || 0), -maxTilt, maxTilt),
+                z: clamp(grabbedTilt.z + (Number(tilt && tilt.z) || 0), -maxTilt, maxTilt)
+            };
+            return {
+                offset: subtract(stick.target, position),
+                tilt: { x: stick.targetTilt.x - grabbedTilt.x, z: stick.targetTilt.z - grabbedTilt.z }
+            };
+        }
+
+        // The hand puts the stick back where it stood
+        function releaseStick() {
+            stick.grabbed = null;
+            stick.target = null;
+            stick.targetTilt = { x: 0, z: 0 };
+        }
+
+        // Back at rest at once (the toy is reset with it)
+        function resetStick() {
+            stick = createStickState();
+            toyPhysics.resetBody('anchor');
+        }
+
+        // Before every step: the anchor follows the drag at up to maxSpeed, tilting towards the drag's tilt plus
+        // a lean into the move
+        function updateStick(delta) {
+            const { maxSpeed, maxTilt, tiltSpeed, lean } = SHAKE_SETTINGS;
+            const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+            const home = toyPhysics.rest.anchor.position;
+            const position = stick.position || home;
+            const toTarget = subtract(stick.target || home, position);
+            const distance = length(toTarget);
+            const move = Math.min(distance, maxSpeed * delta);
+            const step = distance > 1e-6 ? scale(toTarget, move / distance) : { x: 0, y: 0, z: 0 };
+
+            const wanted = {
+                x: clamp(stick.targetTilt.x, maxTilt),
+                z: clamp(stick.targetTilt.z + step.x / delta * lean, maxTilt)
+            };
+            const tilt = {
+                x: stick.tilt.x + clamp(wanted.x - stick.tilt.x, tiltSpeed * delta),
+                z: stick.tilt.z + clamp(wanted.z - stick.tilt.z, tiltSpeed * delta)
+            };
+
+            // Standing still at rest - leave the anchor alone
+            if (!stick.position && move === 0 && tilt.x === 0 && tilt.z === 0) return;
+
+            stick.position = add(position, step);
+            stick.tilt = tilt;
+            const tiltX = { x: Math.sin(tilt.x / 2), y: 0, z: 0, w: Math.cos(tilt.x / 2) };
+            const tiltZ = { x: 0, y: 0, z: Math.sin(tilt.z / 2), w: Math.cos(tilt.z / 2) };
+            toyPhysics.moveAnchor(stick.position, multiplyQuaternions(tiltZ, tiltX));
+        }
+
+        // GRAB - the pointer takes a limb or the torso at a point on it (in the part's own frame) and pulls that
+        // point along; the part's joints pull back, so limbs can be posed, elastic stretched and limits felt
+        function grabPart(part, point) {
+            if (part !== 'torso' && !getActiveLimbNames().includes(part)) return null;
+
+            const local = { x: Number(point && point.x) || 0, y: Number(point && point.y) || 0, z: Number(point && point.z) || 0 };
+            const pose = toyPhysics.getPose(part);
+            const start = add(pose.position, rotateVector(local, pose.quaternion));
+            if (!isHeld()) {
+                wakeToy(); // A toy asleep on the floor is picked at
+            }
+            toyPhysics.grabBody(part, local, start);
+            grab = { part, start };
+            return local;
+        }
+
+        // offset: drag since the grab (world units)
+        function dragPart(offset) {
+            if (!grab) return null;
+
+            const moved = { x: Number(offset && offset.x) || 0, y: Number(offset && offset.y) || 0, z: Number(offset && offset.z) || 0 };
+            toyPhysics.moveGrab(add(grab.start, moved));
+            return moved;
+        }
+
+        // The physics takes the part back over
+        function releasePart() {
+            grab = null;
+            toyPhysics.releaseGrab();
+        }
+
+        // PULL STRING - drive the limbs like a real jumping jack instead of spinning it
+        // The GLB has no string meshes, so the rope is built here: each limb is tied just past its
+        // Constraint_* pivot on the short end, the ties meet at a knot below the torso, and the pull
+        // string hangs from the knot. Pulling moves the knot down; tension-only springs lift the limbs.
+        function createPullString() {
+            const rest = toyPhysics.rest;
+            if (!rest.torso || !rest.joints) return;
+
+            // Tie points: continue the hand/foot → pivot line past the pivot by the lever length
+            const ties = {};
+            const pivots = {};
+            const tieWorld = [];
+            LIMB_NAMES.forEach(name => {
+                const limbRest = rest[name];
+                const pivot = rest.joints[name];
+                if (!limbRest || !pivot) return;
+
+                const arm = subtract(pivot, limbRest.position);
+                const tie = add(pivot, scale(arm, STRING_SETTINGS.lever / length(arm)));
+                ties[name] = toLocal(tie, limbRest);
+                pivots[name] = toLocal(pivot, limbRest);
+                tieWorld.push({ name, tie });
+            });
+            if (tieWorld.length === 0) return;
+
+            // Knot hangs centred below the lowest tie
+            const knot = scale(tieWorld.reduce((sum, { tie }) => add(sum, tie), { x: 0, y: 0, z: 0 }), 1 / tieWorld.length);
+            knot.y = Math.min(...tieWorld.map(({ tie }) => tie.y)) - STRING_SETTINGS.knotDrop;
+
+            // Rest lengths leave a little slack so the limbs hang freely until pulled
+            const lengths = {};
+            tieWorld.forEach(({ name, tie }) => {
+                lengths[name] = length(subtract(tie, knot)) * STRING_SETTINGS.slack;
+            });
+
+            stringRig = { ties, pivots, lengths, knot: toLocal(knot, rest.torso) };
+        }
+
+        // World-space point on a body from a body-local offset
+        function bodyPointToWorld(pose, localPoint) {
+            return add(pose.position, rotateVector(localPoint, pose.quaternion));
+        }
+
+        // Current knot position: rest knot on the torso, lowered by the pull
+        function getStringKnot() {
+            const knot = bodyPointToWorld(toyPhysics.getPose('torso'), stringRig.knot);
+            knot.y -= stringPull.amount;
+            return knot;
+        }
+
+        // Runs inside stepSimulation before each internal substep
+        function onPhysicsPreTick(worldPtr, timeStep) {
+            updatePullString(timeStep);
+        }
+
+        // Apply string tension to the attached limbs as impulses for one substep
+        function updatePullString(delta) {
+            if (interactionMode !== 'string' || !stringRig || !rigidBodies.torso) return;
+
+            // The knot follows the hand at a limited speed so a fast yank doesn't explode the joints
+            const maxMove = STRING_SETTINGS.pullSpeed * delta;
+            const move = Math.max(-maxMove, Math.min(maxMove, stringPull.target - stringPull.amount));
+            stringPull.amount += move;
+            const knotVelocity = { x: 0, y: delta > 0 ? -move / delta : 0, z: 0 };
+
+            const knot = getStringKnot();
+
+            getAttachedLimbNames().forEach(name => {
+                const body = rigidBodies[name];
+                const pose = toyPhysics.getPose(name);
+                const tie = bodyPointToWorld(pose, stringRig.ties[name]);
+                const toKnot = subtract(knot, tie);
+                const distance = length(toKnot);
+                const stretch = distance - stringRig.lengths[name];
+                if (stretch <= 0 || distance < 1e-6) return; // Slack string pulls nothing
+
+                const direction = scale(toKnot, 1 / distance);
+
+                // Rate the string is stretching (knot velocity minus tie velocity v + ω × r), for damping
+                const offset = subtract(tie, pose.position);
+                const tieVelocity = add(cross(fromAmmo(body.getAngularVelocity()), offset), fromAmmo(body.getLinearVelocity()));
+
+                const stretchRate = dot(subtract(knotVelocity, tieVelocity), direction);
+
+                const tension = Math.max(0, Math.min(STRING_SETTINGS.maxTension,
+                    STRING_SETTINGS.stiffness * stretch + STRING_SETTINGS.damping * stretchRate));
+                // The pivot pin carries the string's pull, so the limb only feels the turning effect
+                // about its pivot: (tie - pivot) × F. Impulse, not torque - torques would pile up
+                // across the substeps of one stepSimulation call.
+                const pivot = bodyPointToWorld(pose, stringRig.pivots[name]);
+                const torqueImpulse = scale(cross(subtract(tie, pivot), direction), tension * delta);
+                const impulseVec = ammoObjectPool.getVector(torqueImpulse.x, torqueImpulse.y, torqueImpulse.z);
+                body.applyTorqueImpulse(impulseVec);
+                ammoObjectPool.returnVector(impulseVec);
+            });
+        }
+
+        // Letting go drops the string - the limbs fall back under gravity
+        function endStringPull() {
+            stringPull.active = false;
+            stringPull.target = 0;
+        }
+
+        // Switch between spinning the toy ('spin'), pulling its string ('string'), throwing it ('throw') and
+        // hanging it from a string ('hang'); false for an unknown mode
+        function setInteractionMode(mode) {
+            if (!INTERACTION_MODES.includes(mode)) {
+                console.warn(`⚠️ Unknown interaction mode: ${mode}`);
+                return false;
+            }
+
+            interactionMode = mode;
+            stopSpin();
+            endStringPull();
+            stringPull.amount = 0;
+            releaseHanger();
+            releaseStick();
+
+            // Between stick and string: take the toy off one and put it on the other (a dropped toy stays down)
+            if (isHeld() && isHanging() !== (mode === 'hang')) {
+                releaseToy();
+                pickUp();
+            }
+
+            // Limbs swing freely on the string - drop the heavy stopping damping
+            const [linear, angular] = getModeDamping().limb;
+            getAttachedLimbNames().forEach(name => {
+                rigidBodies[name].setDamping(linear, angular);
+            });
+
+            // console.log(`🪀 Interaction mode: ${mode}`);
+            return true;
+        }
+
+        function getJointFatigue(name) {
+            if (!jointFatigue[name]) {
+                jointFatigue[name] = createJointFatigueState();
+            }
+            return jointFatigue[name];
+        }
+
+        function getJointAging(name) {
+            return getAging(getJointFatigue(name));
+        }
+
+        // Accumulate stress on each limb joint and let it recover at rest
+        function updateJointFatigue(delta) {
+            if (!rigidBodies.torso || delta <= 0) return;
+
+            const spinSpeed = Math.abs(rigidBodies.torso.getAngularVelocity().y());
+            const resting = !mouseButtonDown && spinSpeed < FATIGUE_SETTINGS.restSpeed;
+
+            LIMB_NAMES.forEach(name => {
+                const body = rigidBodies[name];
+                if (!body || !constraints[name]) return;
+
+                const state = getJointFatigue(name);
+                const angularSpeed = length(fromAmmo(body.getAngularVelocity()));
+                const error = toyPhysics.measureJointError(name);
+
+                state.constraintError = error;
+                state.peakConstraintError = Math.max(state.peakConstraintError, error);
+                state.peakAngularSpeed = Math.max(state.peakAngularSpeed, angularSpeed);
+
+                if (spinSpeed > FATIGUE_SETTINGS.stressSpeed) {
+                    state.spinTime += delta;
+                }
+
+                // Stress grows with spin speed and with how far the joint is pulled apart
+                const speedStress = Math.max(0, spinSpeed / FATIGUE_SETTINGS.stressSpeed - 1);
+                const errorStress = Math.max(0, error / FATIGUE_SETTINGS.stressError - 1);
+                const stress = Math.min(FATIGUE_SETTINGS.maxStress, speedStress + errorStress) *
+                    (FATIGUE_SETTINGS.susceptibility[name] || 1);
+
+                if (stress > 0) {
+                    state.fatigue = Math.min(1, state.fatigue + FATIGUE_SETTINGS.fatigueRate * stress * delta);
+                    state.wear = Math.min(1, state.wear + FATIGUE_SETTINGS.wearRate * stress * delta);
+                } else if (resting) {
+                    // Elastic relaxes at rest - fatigue fades, wear stays
+                    state.fatigue = Math.max(0, state.fatigue - state.fatigue * FATIGUE_SETTINGS.recoveryRate * delta);
+                }
+            });
+
+            // Joint parameters change slowly - no need to touch constraints every step
+            fatigueApplyTimer += delta;
+            if (fatigueApplyTimer >= FATIGUE_SETTINGS.applyInterval) {
+                fatigueApplyTimer = 0;
+                LIMB_NAMES.forEach(applyJointFatigue);
+            }
+        }
+
+        // Soften a limb joint according to its aging: less stiffness, more slack
+        function applyJointFatigue(name) {
+            const joint = constraints[name];
+            if (!joint) return;
+
+            const aging = getJointAging(name);
+
+            if (joint instanceof AmmoLib.btGeneric6DofSpringConstraint) {
+                const settings = toyPhysics.getJointSettings(name);
+                const stiffness = settings.stiffness * (1 - FATIGUE_SETTINGS.maxStiffnessLoss * aging);
+                const stretch = settings.stretch + FATIGUE_SETTINGS.maxExtraStretch * aging;
+                const depth = ELASTIC_JOINT_SETTINGS.depthStretch * (1 + aging);
+
+                for (let i = 0; i < 3; i++) {
+                    joint.setStiffness(i, stiffness);
+                }
+
+                const limit = ammoObjectPool.getVector(-stretch, -stretch, -depth);
+                joint.setLinearLowerLimit(limit);
+                limit.setValue(stretch, stretch, depth);
+                joint.setLinearUpperLimit(limit);
+                ammoObjectPool.returnVector(limit);
+            } else if (joint instanceof AmmoLib.btHingeConstraint) {
+                // A worn pin hole: wider swing and softer stops
+                const { lower, upper } = toyPhysics.getJointSettings(name);
+                const { softness, bias, relaxation } = HINGE_JOINT_SETTINGS;
+                const extraSwing = FATIGUE_SETTINGS.maxExtraSwing * aging;
+                const wornSoftness = softness + (FATIGUE_SETTINGS.maxHingeSoftness - softness) * aging;
+                joint.setLimit(lower - extraSwing, upper + extraSwing, wornSoftness, bias, relaxation);
+            }
+        }
+
+        // "Factory new" - forget all wear, joints go back to full strength (the page forgets the history)
+        function factoryResetToy() {
+            jointFatigue = {};
+            LIMB_NAMES.forEach(applyJointFatigue);
+            resetToy();
+            emit({ type: 'factoryReset' });
+
+            // console.log('✨ Toy is factory new');
+        }
+
+        // Reset toy to initial state
+        function resetToy() {
+            // console.log('🔄 Resetting toy to initial state...');
+
+            // Torn-off limbs come back with the reset
+            const tornLimbs = Array.from(detachedLimbs);
+            detachedLimbs.clear();
+            jointOverstrainSteps = {};
+
+            // A hanging toy comes off its string and is hung again below its hanger's home
+            if (isHanging()) {
+                releaseToy();
+            }
+
+            // Stick, torso and the limbs this toy still has back to their rest pose (out of the hand)
+            releasePart();
+            resetStick();
+            toyPhysics.resetBody('torso');
+            getActiveLimbNames().forEach(name => toyPhysics.resetBody(name));
+
+            // A dropped toy goes back on its stick (or its string in hang mode)
+            if (!isHeld()) {
+                wakeToy();
+                if (interactionMode === 'hang') {
+                    hangToy();
+                } else {
+                    toyPhysics.createSpinHinge();
+                }
+            }
+
+            // Re-tie torn-off limbs at their rest pose (joints that already exist are kept)
+            tornLimbs.forEach(name => {
+                if (limbConditions[name] === 'missing' || constraints[name]) return;
+                const [linear, angular] = getModeDamping().limb;
+                rigidBodies[name].setDamping(linear, angular);
+                createLimbConstraint(name);
+            });
+
+            // Reset spin state
+            stopSpin();
+            currentRotationDirection = 1;
+
+            // Reset physics corruption detection
+            physicsFailureCount = 0;
+            lastPhysicsFailureTime = 0;
+
+            // Clear object pool to prevent stale references
+            ammoObjectPool.clear();
+
+            // Bodies jumped back to rest - don't blend from where they were
+            teleported = true;
+
+            // console.log('✅ Toy reset complete');
+        }
+
+        // Recreate physics world on corruption
+        function recreatePhysicsWorld() {
+            try {
+                // console.log('🔄 Recreating physics world...');
+
+                // Free the toy's bodies, shapes and joints (and its world if it has one of its own) - a shared
+                // world stays up for the other toys
+                try {
+                    toyPhysics.destroy();
+                } catch (e) {
+                    // Ignore errors during cleanup
+                }
+
+                // Clear object pools completely
+                ammoObjectPool.clear();
+
+                // Old joints belong to the old world; everything comes back attached
+                detachedLimbs.clear();
+                jointOverstrainSteps = {};
+                stopSpin();
+
+                buildWorld();
+
+                // console.log('✅ Physics world recreated successfully');
+            } catch (error) {
+                console.error('❌ Failed to recreate physics world:', error);
+                // Fallback to simple reset
+                resetToy();
+            }
+        }
+
+        // INPUT QUEUE - everything that changes the simulation goes through dispatchInput() and is applied
+        // at the start of the next physics step. Inputs are tied to step indices, so a recording replays exactly.
+        function dispatchInput(input) {
+            if (replay) {
+                // console.log(`⏯️ Ignoring ${input.type} during replay`);
+                return;
+            }
+
+            // Only the latest pull, hanger position, drag angle, stick position or part drag per step matters
+            const last = pendingInputs[pendingInputs.length - 1];
+            if (['pullTo', 'hangerDrag', 'spinDrag', 'stickMove', 'partDrag'].includes(input.type) && last && last.type === input.type) {
+                pendingInputs[pendingInputs.length - 1] = input;
+                return;
+            }
+
+            pendingInputs.push(input);
+        }
+
+        // Apply one input; returns what happened (as it should be recorded) or null if it was ignored
+        function applyInput(input) {
+            switch (input.type) {
+                case 'spinStart': {
+                    // Each press alternates direction unless the input says which way
+                    const direction = input.direction === 1 || input.direction === -1 ? input.direction : -currentRotationDirection;
+                    currentRotationDirection = direction;
+                    stopSpin();
+                    mouseButtonDown = true;
+                    return { type: 'spinStart', direction };
+                }
+                case 'spinStop':
+                    stopSpin();
+                    return { type: 'spinStop' };
+                case 'setSpinTarget':
+                    if (input.rpm !== null && !Number.isFinite(input.rpm)) return null;
+                    spinTarget = toSpinTarget(input.rpm);
+                    return { type: 'setSpinTarget', rpm: spinTarget };
+                case 'spinDrag':
+                    // The drag takes over from the press's motor
+                    if (!Number.isFinite(input.angle)) return null;
+                    mouseButtonDown = false;
+                    spinCoasting = false;
+                    if (!spinDrag) {
+                        spinDrag = { target: 0, travelled: 0 };
+                    }
+                    spinDrag.target = input.angle;
+                    return { type: 'spinDrag', angle: input.angle };
+                case 'spinFlick': {
+                    if (!Number.isFinite(input.speed) || !constraints.spinHinge) return null;
+                    const maxSpeed = SPIN_SETTINGS[physicsMode].maxSpeed;
+                    const speed = Math.max(-maxSpeed, Math.min(maxSpeed, input.speed));
+                    stopSpin();
+                    toyPhysics.setSpinSpeed(speed, getAttachedLimbNames());
+                    spinCoasting = true;
+                    return { type: 'spinFlick', speed };
+                }
+                case 'pullStart':
+                    stringPull.active = true;
+                    stringPull.target = 0;
+                    return { type: 'pullStart' };
+                case 'pullTo':
+                    if (!stringPull.active) return null;
+                    stringPull.target = Math.max(0, Math.min(STRING_SETTINGS.maxPull, Number(input.amount) || 0));
+                    return { type: 'pullTo', amount: stringPull.target };
+                case 'pullEnd':
+                    endStringPull();
+                    return { type: 'pullEnd' };
+                case 'hangerGrab':
+                    return grabHanger() ? { type: 'hangerGrab' } : null;
+                case 'hangerDrag': {
+                    const offset = dragHanger(input.offset);
+                    return offset && { type: 'hangerDrag', offset };
+                }
+                case 'hangerRelease':
+                    releaseHanger();
+                    return { type: 'hangerRelease' };
+                case 'stickGrab':
+                    return grabStick() ? { type: 'stickGrab' } : null;
+                case 'stickMove': {
+                    const moved = dragStick(input.offset, input.tilt);
+                    return moved && { type: 'stickMove', ...moved };
+                }
+                case 'stickRelease':
+                    releaseStick();
+                    return { type: 'stickRelease' };
+                case 'partGrab': {
+                    const point = grabPart(input.part, input.point);
+                    return point && { type: 'partGrab', part: input.part, point };
+                }
+                case 'partDrag': {
+                    const offset = dragPart(input.offset);
+                    return offset && { type: 'partDrag', offset };
+                }
+                case 'partRelease':
+                    releasePart();
+                    return { type: 'partRelease' };
+                case 'setPhysicsMode':
+                    return setPhysicsMode(input.mode) ? { type: 'setPhysicsMode', mode: input.mode } : null;
+                case 'setInteractionMode':
+                    return setInteractionMode(input.mode) ? { type: 'setInteractionMode', mode: input.mode } : null;
+                case 'reset':
+                    resetToy();
+                    return { type: 'reset' };
+                case 'factoryReset':
+                    factoryResetToy();
+                    return { type: 'factoryReset' };
+                case 'setLimbCondition': {
+                    const { limb, condition } = input;
+                    return setLimbCondition(limb, condition) ? { type: 'setLimbCondition', limb, condition } : null;
+                }
+                case 'setBrokenToy':
+                    setBrokenToy(input.broken);
+                    return { type: 'setBrokenToy', broken: input.broken };
+                case 'detachLimb':
+                    detachLimb(input.limb);
+                    return { type: 'detachLimb', limb: input.limb };
+                case 'retieLimb':
+                    retieLimb(input.limb);
+                    return { type: 'retieLimb', limb: input.limb };
+                case 'retieAll':
+                    retieAllLimbs();
+                    return { type: 'retieAll' };
+                case 'letGo': {
+                    const velocity = letGo(input.velocity);
+                    return velocity && { type: 'letGo', velocity };
+                }
+                case 'pickUp':
+                    if (isHeld()) return null;
+                    pickUp();
+                    return { type: 'pickUp' };
+                default:
+                    console.warn(`⚠️ Unknown input: ${input.type}`);
+                    return null;
+            }
+        }
+
+        // Start of every physics step: feed due replay events, then apply (and record) the queue
+        function applyPendingInputs() {
+            if (replay) {
+                const step = physicsStepCount - replay.startStep;
+                const events = replay.recording.events;
+                while (replay.nextEvent < events.length && events[replay.nextEvent].step <= step) {
+                    pendingInputs.push(events[replay.nextEvent++]);
+                }
+            }
+
+            const inputs = pendingInputs;
+            pendingInputs = [];
+
+            // Touching a toy that lies asleep on the floor wakes it
+            if (inputs.length > 0 && !isHeld()) {
+                wakeToy();
+            }
+
+            inputs.forEach(input => {
+                const applied = applyInput(input);
+                if (applied && recording) {
+                    recording.events.push({ step: physicsStepCount - recording.startStep, ...applied });
+                }
+            });
+        }
+
+        // RECORD / REPLAY
+        // Everything besides inputs that the motion depends on
+        function captureSimulationSetup() {
+            return {
+                physicsMode,
+                interactionMode,
+                limbConditions: { ...limbConditions },
+                jointFatigue: JSON.parse(JSON.stringify(jointFatigue)),
+                spinTarget
+            };
+        }
+
+        // Canonical start shared by recording and replay: setup applied, every body at rest, and joints and
+        // limb contacts rebuilt so nothing cached from earlier play leaks into the motion
+        function restartSimulation(restartSetup) {
+            pendingInputs = [];
+
+            physicsMode = restartSetup.physicsMode === 'elastic' ? 'elastic' : 'hinge';
+            toyPhysics.setMode(physicsMode);
+            if (INTERACTION_MODES.includes(restartSetup.interactionMode)) {
+                interactionMode = restartSetup.interactionMode; // The world is built on the stick or string it starts with
+            }
+            limbConditions = { ...restartSetup.limbConditions };
+            jointFatigue = JSON.parse(JSON.stringify(restartSetup.jointFatigue));
+            spinTarget = toSpinTarget(restartSetup.spinTarget);
+            fatigueApplyTimer = 0;
+
+            // A fresh world built from the rig - contact pairs and warm-start impulses from earlier play
+            // would change the result
+            recreatePhysicsWorld();
+            applyLimbConditions(); // Re-adds limb bodies, resets the toy, rebuilds joints with the fatigue applied
+            toyPhysics.applyModeDamping();
+            setInteractionMode(restartSetup.interactionMode);
+        }
+
+        // Read the torso, limb and hanging string poses from physics (invalid transforms are left out)
+        function captureBodyStates() {
+            const states = {};
+
+            // The hanging string's bodies too while the toy hangs
+            const hangingString = ['hanger', ...HANGING_STRING_SEGMENTS].filter(name => rigidBodies[name]);
+            ['torso', ...getActiveLimbNames(), ...hangingString].forEach(name => {
+                try {
+                    const pose = toyPhysics.getPose(name);
+                    if (!pose) return;
+                    const { position: p, quaternion: q } = pose;
+
+                    // Check if values are valid
+                    if (isNaN(p.x) || isNaN(p.y) || isNaN(p.z) || isNaN(q.x) || isNaN(q.y) || isNaN(q.z) || isNaN(q.w)) {
+                        console.warn(`⚠️ Invalid ${name} physics transform - pos:`, p.x, p.y, p.z, 'rot:', q.x, q.y, q.z, q.w);
+                        return;
+                    }
+
+                    states[name] = pose;
+                } catch (e) {
+                    console.error(`❌ Error getting ${name} transform:`, e);
+                }
+            });
+
+            return states;
+        }
+
+        // Final pose of torso and limbs, to check a replay against its recording
+        function captureReplayFingerprint() {
+            const states = captureBodyStates();
+            return Object.keys(states).sort().map(name => {
+                const { position, quaternion } = states[name];
+                return [name, position.x, position.y, position.z, quaternion.x, quaternion.y, quaternion.z, quaternion.w];
+            });
+        }
+
+        function startRecording() {
+            if (replay) return;
+
+            const recordingSetup = captureSimulationSetup();
+            restartSimulation(recordingSetup);
+            recording = { startStep: physicsStepCount, setup: recordingSetup, events: [] };
+
+            // console.log('⏺️ Recording inputs');
+        }
+
+        // Sends the finished recording to the page
+        function stopRecording() {
+            if (!recording) return null;
+
+            // Inputs still queued belong after the recording
+            const finished = {
+                version: RECORDING_VERSION,
+                physicsStep: PHYSICS_STEP,
+                substeps: PHYSICS_SUBSTEPS,
+                steps: physicsStepCount - recording.startStep,
+                setup: recording.setup,
+                events: recording.events,
+                fingerprint: captureReplayFingerprint()
+            };
+            recording = null;
+
+            emit({ type: 'recording', recording: finished });
+            // console.log(`⏹️ Recorded ${finished.events.length} inputs over ${finished.steps} steps`);
+            return finished;
+        }
+
+        function playRecording(rec) {
+            if (!rec) return false;
+            if (recording) stopRecording();
+            if (replay) stopReplay();
+
+            // The toy's own state comes back when the replay ends
+            const restore = captureSimulationSetup();
+            restartSimulation(rec.setup);
+            replay = { recording: rec, startStep: physicsStepCount, nextEvent: 0, restore };
+
+            // console.log(`▶️ Replaying ${rec.events.length} inputs over ${rec.steps} steps`);
+            return true;
+        }
+
+        // Called after every physics step
+        function updateReplay() {
+            if (!replay || physicsStepCount - replay.startStep < replay.recording.steps) return;
+
+            const expected = replay.recording.fingerprint;
+            if (expected) {
+                const actual = captureReplayFingerprint();
+                const drift = Math.max(...expected.map((row, i) =>
+                    actual[i] && actual[i][0] === row[0] ? Math.max(...row.slice(1).map((v, j) => Math.abs(v - actual[i][j + 1]))) : Infinity
+                ));
+                if (drift === 0) {
+                    // console.log('✅ Replay matched the recording exactly');
+                } else {
+                    console.warn(`⚠️ Replay drifted from the recording (max difference ${drift})`);
+                }
+            }
+
+            stopReplay();
+        }
+
+        function stopReplay() {
+            if (!replay) return;
+
+            const { restore } = replay;
+            replay = null;
+            restartSimulation(restore);
+
+            // console.log('⏹️ Replay finished');
+        }
+
+        // One fixed physics step: inputs, spin control, simulation, then everything that reacts to the new state
+        // Returns false when the step failed (the world may have been reset or recreated)
+        // A toy in a shared world is stepped by its scene instead (see createScene): beginStep for every
+        // toy, the world once, then endStep for every toy
+        function step() {
+            if (!physicsWorld) return false;
+
+            beginStep();
+
+            // Step real physics simulation
+            try {
+                // Exactly PHYSICS_SUBSTEPS internal steps, in every mode
+                toyPhysics.step(PHYSICS_STEP, PHYSICS_SUBSTEPS);
+            } catch (e) {
+                failStep(e);
+                return false;
+            }
+
+            endStep();
+            return true;
+        }
+
+        // Before the world steps: inputs, spin control and the hanger
+        function beginStep() {
+            // Inputs land on step boundaries (recorded and replayed by step index)
+            applyPendingInputs();
+
+            // A flicked toy that has slowed down stops like any released toy
+            if (spinCoasting && Math.abs(toyPhysics.getSpinSpeed()) < SPIN_DRAG_SETTINGS.coastStopSpeed) {
+                spinCoasting = false;
+            }
+
+            // The motor spins the toy while the mouse is down, driven after a drag, coasting after a flick, braked and
+            // strongly damped when released. Limbs help stop the toy, except on the string where they should swing
+            // freely; torn-off limbs keep their damping
+            toyPhysics.applySpinControl({
+                spinning: mouseButtonDown,
+                direction: currentRotationDirection,
+                targetSpeed: rpmToSpeed(getSpinRpm()),
+                drive: spinDrag ? (spinDrag.target - spinDrag.travelled) * SPIN_DRAG_SETTINGS.follow : null,
+                coasting: spinCoasting,
+                limbs: getActiveLimbNames(),
+                attachedLimbs: getAttachedLimbNames(),
+                stopLimbs: interactionMode === 'spin'
+            });
+
+            // Hanging toy: the hanger follows the drag; the stick follows the hand
+            updateHanger(PHYSICS_STEP);
+            updateStick(PHYSICS_STEP);
+        }
+
+        // The world failed to step: reset the toy, or rebuild it when that keeps happening
+        function failStep(e) {
+            console.error('❌ Physics step failed:', e);
+            console.error('This may indicate physics engine corruption. Try resetting the toy.');
+
+            physicsFailureCount++;
+            const currentTime = Date.now();
+
+            // Check memory usage and pool stats
+            const poolStats = ammoObjectPool.getStats();
+            console.warn('📊 Memory stats:', poolStats);
+
+            // If failures are too frequent or memory pressure is high, recreate physics world
+            const shouldRecreate = physicsFailureCount >= MAX_PHYSICS_FAILURES ||
+                (lastPhysicsFailureTime > 0 && currentTime - lastPhysicsFailureTime < 1000) ||
+                poolStats.totalAllocations > 1000; // High allocation count indicates memory pressure
+
+            if (shouldRecreate) {
+                console.error('🚨 Physics corruption/memory pressure detected. Recreating physics world...');
+                recreatePhysicsWorld();
+                physicsFailureCount = 0;
+            } else if (physicsFailureCount >= 3) {
+                // Less severe - just reset the toy
+                console.warn('⚠️ Physics instability detected. Resetting toy...');
+                resetToy();
+                physicsFailureCount = 0;
+            }
+
+            lastPhysicsFailureTime = currentTime;
+        }
+
+        // After the world has stepped: everything that reacts to the new state
+        function endStep() {
+            // How far the dragged toy has turned, for the drag to catch up with
+            if (spinDrag) {
+                spinDrag.travelled += toyPhysics.getSpinSpeed() * PHYSICS_STEP;
+            }
+
+            // Tear off limbs whose joints are strained too far
+            checkJointBreaks();
+
+            // Let a dropped toy that has come to rest sleep
+            updateDroppedToy();
+
+            // Wear limb joints according to how hard the toy is being played with
+            updateJointFatigue(PHYSICS_STEP);
+
+            physicsStepCount++;
+            updateReplay();
+        }
+
+        // State after the last step for the page, laid out as described at STEP_HEADER
+        function writeStepState(state) {
+            const states = captureBodyStates();
+
+            state[STEP_HEADER.step] = physicsStepCount;
+            state[STEP_HEADER.spinSpeed] = rigidBodies.torso ? rigidBodies.torso.getAngularVelocity().y() : 0;
+            state[STEP_HEADER.spinning] = mouseButtonDown || spinDrag || spinCoasting ? 1 : 0;
+            state[STEP_HEADER.pullAmount] = stringPull.amount;
+            state[STEP_HEADER.teleported] = teleported ? 1 : 0;
+            teleported = false;
+
+            STREAMED_BODIES.forEach((name, i) => {
+                const offset = STEP_HEADER_SIZE + i * BODY_STRIDE;
+                const bodyState = states[name];
+                if (!bodyState) {
+                    state[offset + 7] = 0;
+                    return;
+                }
+                const { position, quaternion } = bodyState;
+                state[offset] = position.x;
+                state[offset + 1] = position.y;
+                state[offset + 2] = position.z;
+                state[offset + 3] = quaternion.x;
+                state[offset + 4] = quaternion.y;
+                state[offset + 5] = quaternion.z;
+                state[offset + 6] = quaternion.w;
+                state[offset + 7] = 1;
+            });
+        }
+
+        // What the page shows besides body poses: modes, limb conditions, torn-off limbs, recorder
+        function getStatus() {
+            return {
+                physicsMode,
+                interactionMode,
+                limbConditions: { ...limbConditions },
+                detachedLimbs: Array.from(detachedLimbs),
+                held: isHeld(),
+                spinTarget,
+                spinRpm: getSpinRpm(),
+                recording: !!recording,
+                replaying: !!replay,
+                tunneling: { events: toyPhysics.tunneling.events, byBody: { ...toyPhysics.tunneling.byBody } }
+            };
+        }
+
+        // Rest poses and string rig, for drawing the toy and its rope
+        function describe() {
+            const { torso, joints } = toyPhysics.rest;
+            const rest = { torso: { position: torso.position, quaternion: torso.quaternion }, joints: { ...joints } };
+            LIMB_NAMES.forEach(name => {
+                const limbRest = toyPhysics.rest[name];
+                if (limbRest) {
+                    rest[name] = { position: limbRest.position, quaternion: limbRest.quaternion };
+                }
+            });
+            return { rest, stringRig };
+        }
+
+        buildWorld();
+        if (setup.interactionMode) {
+            setInteractionMode(setup.interactionMode);
+        }
+
+        return {
+            get stepCount() { return physicsStepCount; },
+            get toyPhysics() { return toyPhysics; },
+            dispatchInput,
+            step,
+            beginStep,
+            endStep,
+            failStep,
+            preTick: onPhysicsPreTick,
+            writeStepState,
+            getStatus,
+            describe,
+            getJointFatigue: () => JSON.parse(JSON.stringify(jointFatigue)),
+            startRecording,
+            stopRecording,
+            playRecording,
+            stopReplay,
+            resetToy,
+            recreatePhysicsWorld,
+            destroy: () => toyPhysics.destroy()
+        };
+    }
+
+    // Toys sharing one world - they stand side by side on the same floor and their limbs hit each other
+    // Each toy is a simulation of its own (inputs, status, fatigue); the scene steps them together
+    function createScene(AmmoLib) {
+        const simulations = new Map(); // Toy id → simulation, in the order they were added
+        let physicsWorld = null;
+        let physicsPreTickCallback = null;
+
+        // World a toy is built into: the current one, or a fresh one once no toy is left in it - a toy on
+        // its own is rebuilt into a fresh world every time, just like a simulation with a world of its own
+        function getWorld() {
+            if (!physicsWorld || physicsWorld.toys.length === 0) {
+                if (physicsWorld) {
+                    physicsWorld.destroy();
+                }
+                physicsWorld = core.createPhysicsWorld(AmmoLib);
+
+                // One hook for the whole world, run before every internal substep for every toy
+                if (!physicsPreTickCallback) {
+                    physicsPreTickCallback = AmmoLib.addFunction((worldPtr, timeStep) => {
+                        simulations.forEach(simulation => simulation.preTick(worldPtr, timeStep));
+                    }, 'vif');
+                }
+                physicsWorld.world.setInternalTickCallback(physicsPreTickCallback, 0, true);
+            }
+            return physicsWorld;
+        }
+
+        // options: { rig, setup, position, emit } - see createSimulation
+        function addToy(id, options) {
+            if (simulations.has(id)) {
+                removeToy(id);
+            }
+            const simulation = createSimulation(AmmoLib, { ...options, getWorld });
+            simulations.set(id, simulation);
+            return simulation;
+        }
+
+        function removeToy(id) {
+            const simulation = simulations.get(id);
+            if (!simulation) return;
+            simulations.delete(id);
+            simulation.destroy();
+        }
+
+        // One fixed step for every toy: all inputs and controls first, the world once, then the reactions
+        // Returns false when the step failed
+        function step() {
+            if (simulations.size === 0) return false;
+            const all = Array.from(simulations.values());
+
+            all.forEach(simulation => simulation.beginStep());
+
+            try {
+                physicsWorld.step(PHYSICS_STEP, PHYSICS_SUBSTEPS);
+            } catch (e) {
+                all.forEach(simulation => simulation.failStep(e));
+                return false;
+            }
+
+            all.forEach(simulation => simulation.endStep());
+            return true;
+        }
+
+        return {
+            addToy,
+            removeToy,
+            step,
+            get: id => simulations.get(id),
+            get ids() { return Array.from(simulations.keys()); },
+            get size() { return simulations.size; }
+        };
+    }
+
+    // Message side of a scene - the same host runs in the worker and on the page
+    // post(message, transfer) delivers to the page; advance(seconds) runs the steps that are due
+    // Toy 0 comes with init; more toys join with addToy { toy, setup, position } and leave with
+    // removeToy { toy }. Inputs go to message.toy (0 by default, 'all' for every toy) and everything a
+    // toy sends carries its id. Recording and replay need the toy to be on its own
+    function createHost(AmmoLib, post) {
+        const scene = createScene(AmmoLib);
+        let rig = null;
+        let accumulator = 0;
+        const lastStatus = new Map(); // Toy id → last status sent
+        const freeBuffers = [];
+
+        function publishStatus(id) {
+            const status = scene.get(id).getStatus();
+            const key = JSON.stringify(status);
+            if (key !== lastStatus.get(id)) {
+                lastStatus.set(id, key);
+                post({ type: 'status', toy: id, status });
+            }
+        }
+
+        // Body transforms after a step go to the page in a transferable buffer; the page hands it back
+        function publishStep(id) {
+            const buffer = freeBuffers.pop() || new ArrayBuffer(STEP_BUFFER_LENGTH * Float64Array.BYTES_PER_ELEMENT);
+            scene.get(id).writeStepState(new Float64Array(buffer));
+            post({ type: 'step', toy: id, buffer }, [buffer]);
+        }
+
+        function publishFatigue(id) {
+            post({ type: 'fatigue', toy: id, jointFatigue: scene.get(id).getJointFatigue() });
+        }
+
+        // Run the fixed steps that fit into the time that passed; returns how far into the next step we are (0..1)
+        function advance(seconds) {
+            if (scene.size === 0) return 0;
+
+            accumulator += Math.min(Math.max(seconds, 0), MAX_ADVANCE);
+
+            let steps = 0;
+            while (accumulator >= PHYSICS_STEP && steps < MAX_STEPS_PER_ADVANCE) {
+                if (!scene.step()) break;
+                accumulator -= PHYSICS_STEP;
+                steps++;
+
+                scene.ids.forEach(id => {
+                    publishStep(id);
+                    if (scene.get(id).stepCount % FATIGUE_REPORT_STEPS === 0) {
+                        publishFatigue(id);
+                    }
+                    publishStatus(id);
+                });
+            }
+
+            // Too slow to keep up: drop the backlog instead of spiralling into ever longer steps
+            if (accumulator >= PHYSICS_STEP) {
+                accumulator %= PHYSICS_STEP;
+            }
+            return accumulator / PHYSICS_STEP;
+        }
+
+        // A toy joins the scene and the page gets its rest poses, first pose, fatigue and status
+        function addToy(id, setup, position) {
+            lastStatus.delete(id);
+            const simulation = scene.addToy(id, {
+                rig,
+                setup,
+                position,
+                emit: message => post({ ...message, toy: id })
+            });
+            post({ type: 'ready', toy: id, ...simulation.describe() });
+            publishStep(id);
+            publishFatigue(id);
+            publishStatus(id);
+        }
+
+        // Recording and replay restart the world - only a toy on its own replays exactly
+        function canRecord(type) {
+            if (scene.size > 1) {
+                console.warn(`⚠️ ${type} needs a single toy - remove the other toys first`);
+                return false;
+            }
+            return true;
+        }
+
+        function handleMessage(message) {
+            try {
+                if (message.type === 'init') {
+                    scene.ids.forEach(id => scene.removeToy(id));
+                    rig = message.rig;
+                    accumulator = 0;
+                    addToy(0, message.setup);
+                    return;
+                }
+
+                if (message.type === 'returnBuffer') {
+                    if (message.buffer && message.buffer.byteLength === STEP_BUFFER_LENGTH * Float64Array.BYTES_PER_ELEMENT) {
+                        freeBuffers.push(message.buffer);
+                    }
+                    return;
+                }
+
+                if (!rig) {
+                    console.warn(`⚠️ Physics not started - ignoring ${message.type}`);
+                    return;
+                }
+
+                if (message.type === 'addToy') {
+                    addToy(message.toy, message.setup, message.position);
+                    return;
+                }
+
+                const target = message.toy === undefined ? 0 : message.toy;
+                const ids = target === 'all' ? scene.ids : [target];
+                const simulations = ids.map(id => scene.get(id)).filter(Boolean);
+                if (simulations.length === 0) {
+                    console.warn(`⚠️ No toy ${target} - ignoring ${message.type}`);
+                    return;
+                }
+                const [simulation] = simulations;
+
+                switch (message.type) {
+                    case 'removeToy':
+                        ids.forEach(id => {
+                            scene.removeToy(id);
+                            lastStatus.delete(id);
+                        });
+                        return;
+                    case 'input':
+                        simulations.forEach(each => each.dispatchInput(message.input));
+                        break;
+                    case 'startRecording':
+                        if (canRecord(message.type)) simulation.startRecording();
+                        break;
+                    case 'stopRecording':
+                        simulation.stopRecording();
+                        break;
+                    case 'playRecording':
+                        if (canRecord(message.type)) simulation.playRecording(message.recording);
+                        break;
+                    case 'stopReplay':
+                        simulation.stopReplay();
+                        break;
+                    case 'recreateWorld':
+                        simulations.forEach(each => each.recreatePhysicsWorld());
+                        break;
+                    default:
+                        console.warn(`⚠️ Unknown physics message: ${message.type}`);
+                        return;
+                }
+                ids.filter(id => scene.get(id)).forEach(publishStatus);
+            } catch (error) {
+                console.error('❌ Physics error:', error);
+                post({ type: 'error', message: error.message });
+            }
+        }
+
+        return {
+            handleMessage,
+            advance,
+            scene,
+            get simulation() { return scene.get(0) || null; }
+        };
+    }
+
+    return {
+        RECORDING_VERSION,
+        STREAMED_BODIES,
+        STEP_HEADER,
+        STEP_HEADER_SIZE,
+        BODY_STRIDE,
+        LIMB_CONDITIONS,
+        BROKEN_TOY_PRESET,
+        INTERACTION_MODES,
+        JOINT_BREAK_SETTINGS,
+        STRING_SETTINGS,
+        DROP_SETTINGS,
+        HANG_SETTINGS,
+        SPIN_DRAG_SETTINGS,
+        FATIGUE_SETTINGS,
+        createJointFatigueState,
+        getAging,
+        createSimulation,
+        createScene,
+        createHost
+    };
+})();
+
+// Node: require('./toy-simulation.js') - in the browser and the worker ToySimulation is a global
+if (typeof module === 'object' && module.exports) {
+    module.exports = ToySimulation;
+}